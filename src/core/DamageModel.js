@@ -0,0 +1,75 @@
+// Body damage per zone - 0 is pristine, 1 is destroyed.
+// Front damage costs top speed, side damage costs steering, rear damage costs nitro.
+export const DAMAGE_ZONES = ['front', 'rear', 'left', 'right'];
+
+export class DamageModel {
+    constructor() {
+        this.zones = { front: 0, rear: 0, left: 0, right: 0 };
+        
+        // Impact speed (into the collider) to damage
+        this.minImpactSpeed = 3.0; // Slower contacts leave no mark
+        this.referenceImpactSpeed = 25.0; // An impact this fast does damagePerImpact to its zone
+        this.damagePerImpact = 0.5; // Damage grows with the square of impact speed
+        this.wreckThreshold = 0.4; // Average damage over all zones that writes the car off
+        
+        // What a fully destroyed zone costs
+        this.frontTopSpeedLoss = 0.35;
+        this.rearTopSpeedLoss = 0.15;
+        this.sideSteeringLoss = 0.4;
+        this.frontSteeringLoss = 0.15;
+        this.sidePull = 0.15; // Steering pull toward a bent side
+        this.rearNitroLoss = 0.6; // Crushed exhaust
+    }
+    
+    reset() {
+        DAMAGE_ZONES.forEach(zone => { this.zones[zone] = 0; });
+    }
+    
+    // Zone that takes a hit coming from a direction in the car's local space (-z is the nose, -x the left)
+    getZoneForDirection(localDirection) {
+        if (Math.abs(localDirection.z) >= Math.abs(localDirection.x)) {
+            return localDirection.z < 0 ? 'front' : 'rear';
+        }
+        return localDirection.x < 0 ? 'left' : 'right';
+    }
+    
+    // Damage the zone facing the hit. Returns { zone, amount } or null when the hit was too soft.
+    applyImpact(localDirection, impactSpeed) {
+        if (impactSpeed < this.minImpactSpeed) return null;
+        
+        const zone = this.getZoneForDirection(localDirection);
+        const severity = impactSpeed / this.referenceImpactSpeed;
+        const amount = Math.min(1 - this.zones[zone], this.damagePerImpact * severity * severity);
+        this.zones[zone] += amount;
+        
+        return { zone, amount };
+    }
+    
+    getTotalDamage() {
+        return DAMAGE_ZONES.reduce((sum, zone) => sum + this.zones[zone], 0) / DAMAGE_ZONES.length;
+    }
+    
+    // Written off once damage spreads over the car or any one zone is destroyed
+    isWrecked() {
+        return this.getTotalDamage() >= this.wreckThreshold ||
+            DAMAGE_ZONES.some(zone => this.zones[zone] >= 1);
+    }
+    
+    getTopSpeedFactor() {
+        return 1 - this.zones.front * this.frontTopSpeedLoss - this.zones.rear * this.rearTopSpeedLoss;
+    }
+    
+    getSteeringFactor() {
+        const sideDamage = Math.max(this.zones.left, this.zones.right);
+        return 1 - sideDamage * this.sideSteeringLoss - this.zones.front * this.frontSteeringLoss;
+    }
+    
+    // Steering offset from bent suspension, positive pulls left
+    getSteeringPull() {
+        return (this.zones.left - this.zones.right) * this.sidePull;
+    }
+    
+    getNitroFactor() {
+        return 1 - this.zones.rear * this.rearNitroLoss;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// Engine and gearbox model - turns throttle and road speed into RPM and drive acceleration
+export class Drivetrain {
+    constructor(options = {}) {
+        // Engine
+        this.idleRpm = 900;
+        this.redlineRpm = 7500;
+        this.revLimitRpm = 7800; // Fuel is cut above this
+        this.limiterCutTime = 0.08; // Seconds of fuel cut each time the limiter bounces
+        this.peakTorque = 550; // Newton metres at the top of the torque curve
+        this.freeRevRate = 9000; // RPM gained per second with no load (clutch in / neutral)
+        this.revDropRate = 6000; // RPM lost per second off throttle with no load
+        this.powerBand = [4500, 7200]; // RPM range where the engine makes its best power
+        
+        // Normalized torque at each RPM, linearly interpolated between points
+        this.torqueCurve = [
+            [1000, 0.55],
+            [2500, 0.75],
+            [4000, 0.92],
+            [5500, 1.0],
+            [6500, 0.95],
+            [7500, 0.8],
+            [8000, 0.7]
+        ];
+        
+        // Gearbox - short final drive suits the small arena
+        this.gearRatios = [3.9, 2.5, 1.8, 1.45, 1.25];
+        this.reverseRatio = 3.6;
+        this.finalDrive = 8.0;
+        this.wheelRadius = 0.33;
+        this.shiftTime = 0.15; // Seconds without drive while changing gear
+        this.upshiftRpm = 7000; // Automatic gearbox shift points
+        this.downshiftRpm = 3500;
+        
+        Object.assign(this, options);
+        
+        // State
+        this.isAutomatic = true;
+        this.gear = 1; // 1..gearRatios.length, -1 reverse
+        this.rpm = this.idleRpm;
+        this.shiftTimer = 0;
+        this.limiterTimer = 0;
+        this.isLimiting = false;
+        this.shiftPopTimer = 0; // Backfire window after an upshift, for exhaust effects
+    }
+    
+    reset() {
+        this.gear = 1;
+        this.rpm = this.idleRpm;
+        this.shiftTimer = 0;
+        this.limiterTimer = 0;
+        this.isLimiting = false;
+        this.shiftPopTimer = 0;
+    }
+    
+    getGearRatio(gear = this.gear) {
+        if (gear < 0) return this.reverseRatio;
+        return this.gearRatios[gear - 1];
+    }
+    
+    // Engine RPM when the wheels are turning at this road speed
+    getRpmForSpeed(speed, gear = this.gear) {
+        const wheelRpm = Math.abs(speed) / this.wheelRadius * 60 / (2 * Math.PI);
+        return wheelRpm * this.getGearRatio(gear) * this.finalDrive;
+    }
+    
+    // Normalized torque (0-1) at an RPM from the torque curve
+    getTorqueFactor(rpm = this.rpm) {
+        const curve = this.torqueCurve;
+        if (rpm <= curve[0][0]) return curve[0][1];
+        
+        for (let i = 1; i < curve.length; i++) {
+            if (rpm <= curve[i][0]) {
+                const [rpm0, torque0] = curve[i - 1];
+                const [rpm1, torque1] = curve[i];
+                return torque0 + (torque1 - torque0) * (rpm - rpm0) / (rpm1 - rpm0);
+            }
+        }
+        
+        return curve[curve.length - 1][1];
+    }
+    
+    isInPowerBand() {
+        return this.rpm >= this.powerBand[0] && this.rpm <= this.powerBand[1];
+    }
+    
+    shiftUp() {
+        if (this.shiftTimer > 0) return false;
+        if (this.gear === -1) {
+            this.gear = 1;
+        } else if (this.gear < this.gearRatios.length) {
+            this.gear++;
+            this.shiftPopTimer = 0.1;
+        } else {
+            return false;
+        }
+        
+        this.shiftTimer = this.shiftTime;
+        return true;
+    }
+    
+    shiftDown() {
+        if (this.shiftTimer > 0 || this.gear <= 1) return false;
+        
+        this.gear--;
+        this.shiftTimer = this.shiftTime;
+        return true;
+    }
+    
+    // Advance the engine one step.
+    //   speed     - signed road speed of the driven wheels (m/s)
+    //   throttle  - 0-1
+    //   clutchIn  - true when the engine is disconnected from the wheels
+    //   wheelspin - extra driven wheel speed from sliding, as a fraction of road speed
+    update(deltaTime, speed, throttle, clutchIn, wheelspin = 0) {
+        this.shiftTimer = Math.max(0, this.shiftTimer - deltaTime);
+        this.shiftPopTimer = Math.max(0, this.shiftPopTimer - deltaTime);
+        this.limiterTimer = Math.max(0, this.limiterTimer - deltaTime);
+        
+        // Reverse gear follows the direction of travel
+        if (speed < -0.1 && this.gear > 0) {
+            this.gear = -1;
+        } else if (speed > 0.1 && this.gear < 0) {
+            this.gear = 1;
+        }
+        
+        if (clutchIn) {
+            // Free revving - the engine spins up or down on its own
+            const target = throttle > 0 && this.limiterTimer <= 0 ? this.revLimitRpm : this.idleRpm;
+            const rate = target > this.rpm ? this.freeRevRate * throttle : this.revDropRate;
+            const change = rate * deltaTime;
+            this.rpm += THREE.MathUtils.clamp(target - this.rpm, -change, change);
+        } else if (this.shiftTimer > 0) {
+            // Mid-shift - the revs settle toward the new gear
+            const target = Math.max(this.idleRpm, this.getRpmForSpeed(speed));
+            const change = this.freeRevRate * deltaTime;
+            this.rpm += THREE.MathUtils.clamp(target - this.rpm, -change, change);
+        } else {
+            // Locked to the wheels
+            const wheelRpm = this.getRpmForSpeed(speed * (1 + wheelspin));
+            this.rpm = Math.max(this.idleRpm, wheelRpm);
+            
+            if (this.isAutomatic) {
+                this.updateAutomatic(throttle);
+            }
+        }
+        
+        // Rev limiter bounces off the cut
+        if (this.rpm >= this.revLimitRpm) {
+            this.rpm = this.revLimitRpm;
+            if (throttle > 0) {
+                this.limiterTimer = this.limiterCutTime;
+            }
+        }
+        this.isLimiting = this.limiterTimer > 0;
+    }
+    
+    updateAutomatic(throttle) {
+        if (this.gear < 1) return;
+        
+        if (this.rpm > this.upshiftRpm && throttle > 0 && this.gear < this.gearRatios.length) {
+            this.shiftUp();
+        } else if (this.gear > 1) {
+            // Only drop a gear if it won't over-rev the engine
+            const lowerGearRpm = this.rpm * this.getGearRatio(this.gear - 1) / this.getGearRatio();
+            if (this.rpm < this.downshiftRpm && lowerGearRpm < this.upshiftRpm) {
+                this.shiftDown();
+            }
+        }
+    }
+    
+    // Forward acceleration (m/s^2) the engine gives a car of this mass at the current RPM and gear
+    getDriveAcceleration(mass, throttle = 1) {
+        if (this.shiftTimer > 0 || this.isLimiting) return 0;
+        
+        const torque = this.peakTorque * this.getTorqueFactor() * throttle;
+        const wheelForce = torque * this.getGearRatio() * this.finalDrive / this.wheelRadius;
+        return wheelForce / mass;
+    }
+    
+    // Road speed at the redline in the current gear
+    getGearTopSpeed(gear = this.gear) {
+        const wheelRpm = this.redlineRpm / (this.getGearRatio(gear) * this.finalDrive);
+        return wheelRpm * 2 * Math.PI / 60 * this.wheelRadius;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,28 @@
+export class FixedTimestep {
+    constructor(stepRate = 120) {
+        this.stepTime = 1 / stepRate; // Seconds simulated per step
+        this.maxFrameTime = 0.25; // Clamp long frames (tab switches, hitches) to avoid a catch-up spiral
+        this.accumulator = 0;
+        this.tick = 0; // Number of steps simulated since the last reset
+    }
+    
+    reset() {
+        this.accumulator = 0;
+        this.tick = 0;
+    }
+    
+    // Run as many fixed steps as the elapsed frame time allows.
+    // Returns the interpolation factor (0-1) between the last two simulated states.
+    advance(frameTime, stepCallback) {
+        if (frameTime < 0) frameTime = 0;
+        this.accumulator += Math.min(frameTime, this.maxFrameTime);
+        
+        while (this.accumulator >= this.stepTime) {
+            stepCallback(this.stepTime, this.tick);
+            this.accumulator -= this.stepTime;
+            this.tick++;
+        }
+        
+        return this.accumulator / this.stepTime;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,107 @@
+// Where the game is, from loading to the results screen. Every change of state goes through
+// transition(), which refuses moves the flow doesn't allow and announces the rest with a
+// 'gameFlowChange' event ({ from, to, reason }).
+export const FLOW_STATES = {
+    BOOT: 'boot', // Loading, before the start screen
+    MENU: 'menu', // Start screen and garage
+    COUNTDOWN: 'countdown', // Run set up, waiting for the off
+    PLAYING: 'playing',
+    PAUSED: 'paused', // Frozen mid countdown or mid run
+    RESULTS: 'results' // Run over, results on screen
+};
+
+const TRANSITIONS = {
+    boot: ['menu'],
+    menu: ['countdown'],
+    countdown: ['playing', 'paused'],
+    playing: ['paused', 'results'],
+    paused: ['countdown', 'playing', 'menu', 'results'], // Results can land while paused if the run ended just before
+    results: ['menu']
+};
+
+export class GameFlow {
+    constructor() {
+        this.state = FLOW_STATES.BOOT;
+        this.resumeState = null; // Where resume() goes back to while paused
+        this.countdownRemaining = 0;
+    }
+    
+    is(state) {
+        return this.state === state;
+    }
+    
+    canTransition(to) {
+        return TRANSITIONS[this.state].includes(to);
+    }
+    
+    // Move to another state. Returns false, leaving the state alone, if the move isn't allowed.
+    transition(to, reason = null) {
+        if (!this.canTransition(to)) {
+            console.warn(`Game flow: can't go from ${this.state} to ${to}`);
+            return false;
+        }
+        
+        const from = this.state;
+        this.state = to;
+        
+        document.dispatchEvent(new CustomEvent('gameFlowChange', {
+            detail: { from, to, reason }
+        }));
+        return true;
+    }
+    
+    // Wait this many seconds of unpaused time, then start playing
+    startCountdown(duration) {
+        this.countdownRemaining = duration;
+        return this.transition(FLOW_STATES.COUNTDOWN);
+    }
+    
+    // Once per simulation step - only the countdown runs on it
+    update(deltaTime) {
+        if (!this.is(FLOW_STATES.COUNTDOWN)) return;
+        
+        this.countdownRemaining -= deltaTime;
+        if (this.countdownRemaining <= 0) {
+            this.countdownRemaining = 0;
+            this.transition(FLOW_STATES.PLAYING);
+        }
+    }
+    
+    // reason is 'player' or 'hidden' (the tab lost visibility)
+    pause(reason = 'player') {
+        const from = this.state;
+        if (!this.transition(FLOW_STATES.PAUSED, reason)) return false;
+        
+        this.resumeState = from;
+        return true;
+    }
+    
+    resume() {
+        if (!this.is(FLOW_STATES.PAUSED)) return false;
+        
+        const to = this.resumeState;
+        this.resumeState = null;
+        return this.transition(to, 'resume');
+    }
+    
+    // Pause if playing or counting down, resume if paused
+    togglePause() {
+        if (this.is(FLOW_STATES.PAUSED)) return this.resume();
+        return this.isPausable() ? this.pause() : false;
+    }
+    
+    isPausable() {
+        return this.canTransition(FLOW_STATES.PAUSED);
+    }
+    
+    // From the countdown to the results screen - the world is on screen and the HUD is live
+    isInRun() {
+        return !this.is(FLOW_STATES.BOOT) && !this.is(FLOW_STATES.MENU);
+    }
+    
+    // Physics, input and the run clock only advance in these states. The car waits on the grid
+    // through the countdown, and the results screen keeps the world running so it coasts to a stop.
+    isSimulating() {
+        return this.is(FLOW_STATES.COUNTDOWN) || this.is(FLOW_STATES.PLAYING) || this.is(FLOW_STATES.RESULTS);
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,97 @@
+// The ways a run can be played. Each mode sets:
+//   durations        - run lengths in seconds the player can pick from, null for no clock
+//   endsOn           - what ends the run: 'time', 'crashes', 'laps', or null to drive until restarting
+//   maxHeavyCrashes  - number of heavy crashes that ends a 'crashes' run
+//   laps             - number of laps in a 'laps' run. Each lap also pays a bonus for its lap time
+//   crashPenalty     - points lost each time the car is revived after a heavy crash
+//   jumpStartPenalty - points lost for jumping the start
+//   ranked           - whether scores go to the leaderboard and the local high score
+export const GAME_MODES = {
+    sprint: {
+        name: 'Sprint',
+        description: 'You have 30 seconds to rack up as many points as possible!',
+        durations: [30],
+        endsOn: 'time',
+        maxHeavyCrashes: null,
+        laps: null,
+        crashPenalty: 35,
+        jumpStartPenalty: 50,
+        ranked: true
+    },
+    timeAttack: {
+        name: 'Time Attack',
+        description: 'A longer timed run - pace yourself and keep the chain going.',
+        durations: [60, 120],
+        endsOn: 'time',
+        maxHeavyCrashes: null,
+        laps: null,
+        crashPenalty: 35,
+        jumpStartPenalty: 50,
+        ranked: true
+    },
+    zen: {
+        name: 'Zen',
+        description: 'Free drive - no clock, no penalties and nothing goes on the leaderboard.',
+        durations: [null],
+        endsOn: null,
+        maxHeavyCrashes: null,
+        laps: null,
+        crashPenalty: 0,
+        jumpStartPenalty: 0,
+        ranked: false
+    },
+    endurance: {
+        name: 'Endurance',
+        description: 'No clock - drift for as long as you can. Three heavy crashes end the run.',
+        durations: [null],
+        endsOn: 'crashes',
+        maxHeavyCrashes: 3,
+        laps: null,
+        crashPenalty: 35,
+        jumpStartPenalty: 50,
+        ranked: true
+    },
+    circuit: {
+        name: 'Circuit',
+        description: 'Three timed laps of the circuit - drift for points, and every lap pays a bonus for its lap time.',
+        durations: [null],
+        endsOn: 'laps',
+        maxHeavyCrashes: null,
+        laps: 3,
+        crashPenalty: 35,
+        jumpStartPenalty: 50,
+        ranked: true
+    }
+};
+
+export const DEFAULT_MODE = { id: 'sprint', duration: 30 };
+
+// Full settings for a mode choice ({ id, duration }), falling back to the default mode and
+// the mode's first duration for anything unknown
+export function createGameMode(choice) {
+    const id = choice && GAME_MODES[choice.id] ? choice.id : DEFAULT_MODE.id;
+    const mode = GAME_MODES[id];
+    const duration = choice && mode.durations.includes(choice.duration) ? choice.duration : mode.durations[0];
+    return { id, ...mode, duration };
+}
+
+// Short label such as 'TIME ATTACK 120S' for the HUD and the leaderboard
+export function getModeLabel(choice) {
+    const mode = createGameMode(choice);
+    const name = mode.name.toUpperCase();
+    return mode.durations.length > 1 ? `${name} ${mode.duration}S` : name;
+}
+
+// Key such as 'timeAttack_120' that keeps each ranked board and high score apart: the mode id,
+// plus the run length for timed modes
+export function getModeKey(choice) {
+    const mode = createGameMode(choice);
+    return mode.duration === null ? mode.id : `${mode.id}_${mode.duration}`;
+}
+
+// Every ranked mode choice ({ id, duration }) - one per leaderboard
+export function getRankedModes() {
+    return Object.entries(GAME_MODES)
+        .filter(([, mode]) => mode.ranked)
+        .flatMap(([id, mode]) => mode.durations.map(duration => ({ id, duration })));
+} 
\ No newline at end of file
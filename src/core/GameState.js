@@ -1,108 +1,130 @@
+import { createGameMode, DEFAULT_MODE, getModeKey } from './GameModes.js';
+
+// Before high scores were kept per mode there was only the 30 second sprint
+const LEGACY_HIGH_SCORE_KEY = 'monodrift_highscore';
+
+// Run timer, game over and high score for the selected game mode. The score itself is kept by the ScoreEngine.
 export class GameState {
-    constructor() {
-        this.score = 0;
-        this.highScore = this.loadHighScore();
-        this.driftMultiplier = 1;
-        this.maxDriftMultiplier = 8;
-        this.driftChainTimer = 0;
-        this.driftChainTimeout = 1.5; // seconds before drift chain resets
-        this.gameOver = false;
-        this.isFirstGame = true;
+    constructor(scoreEngine) {
+        this.scoreEngine = scoreEngine;
         
-        // Timer properties
-        this.gameTimeLimit = 30; // 30 second game (was 60)
-        this.timeRemaining = this.gameTimeLimit;
+        // Timer properties - untimed modes count up instead
+        this.mode = createGameMode(DEFAULT_MODE);
+        this.highScore = this.loadHighScore();
+        this.timeRemaining = this.mode.duration;
+        this.timeElapsed = 0;
         this.isTimerRunning = false;
+        this.heavyCrashes = 0;
+        this.lapsCompleted = 0;
+        this.runId = 0; // Changes when a run is started or abandoned
         
         // Leaderboard service will be set by the game
         this.leaderboardService = null;
-        
-        // Create custom event for score updates
-        this.scoreUpdateEvent = new CustomEvent('scoreUpdate', {
-            detail: { score: this.score, multiplier: this.driftMultiplier }
-        });
     }
     
-    resetScore() {
-        this.score = 0;
-        this.driftMultiplier = 1;
-        this.driftChainTimer = 0;
-        this.gameOver = false;
-        this.isFirstGame = false;
-        
-        // Reset timer but don't start it yet
-        this.timeRemaining = this.gameTimeLimit;
-        this.isTimerRunning = false;
-        
-        // Notify score update
-        this.notifyScoreUpdate();
+    get score() {
+        return this.scoreEngine.total;
     }
     
-    addScore(points) {
-        // Only add score if the timer is still running
-        if (this.isTimerRunning) {
-            // Apply drift multiplier to points
-            this.score += points * this.driftMultiplier;
-            
-            // Update local high score if needed
-            if (this.score > this.highScore) {
-                this.highScore = this.score;
-                this.saveHighScore();
-            }
-            
-            // Notify score update
-            this.notifyScoreUpdate();
-        }
+    // Mode for the next run, as { id, duration } (see GAME_MODES)
+    setMode(choice) {
+        this.mode = createGameMode(choice);
+        this.timeRemaining = this.mode.duration;
+        this.highScore = this.loadHighScore();
     }
     
-    // Method to notify score updates via custom event
-    notifyScoreUpdate() {
-        // Update event data
-        this.scoreUpdateEvent.detail.score = this.score;
-        this.scoreUpdateEvent.detail.multiplier = this.driftMultiplier;
+    isTimed() {
+        return this.mode.duration !== null;
+    }
+    
+    resetScore() {
+        this.scoreEngine.reset();
         
-        // Dispatch the event
-        document.dispatchEvent(new CustomEvent('scoreUpdate', {
-            detail: { 
-                score: this.score, 
-                multiplier: this.driftMultiplier 
-            }
-        }));
+        // Reset timer but don't start it yet
+        this.timeRemaining = this.mode.duration;
+        this.timeElapsed = 0;
+        this.isTimerRunning = false;
+        this.heavyCrashes = 0;
+        this.lapsCompleted = 0;
     }
     
     updateTimer(deltaTime) {
         if (this.isTimerRunning) {
+            this.timeElapsed += deltaTime;
+            if (!this.isTimed()) return;
+            
             this.timeRemaining -= deltaTime;
             
             // Check if time is up
             if (this.timeRemaining <= 0) {
                 this.timeRemaining = 0;
-                this.isTimerRunning = false;
-                this.setGameOver();
-                
-                // If we have a leaderboard service, refresh it first
-                if (this.leaderboardService) {
-                    // Fetch latest scores before showing game over
-                    this.leaderboardService.fetchLeaderboard()
-                        .then(() => {
-                            this.dispatchGameOverEvent();
-                        })
-                        .catch(error => {
-                            console.error("Failed to fetch leaderboard:", error);
-                            this.dispatchGameOverEvent();
-                        });
-                } else {
-                    this.dispatchGameOverEvent();
-                }
+                this.endRun('time');
             }
         }
     }
     
+    // Count a heavy crash. Modes that end on crashes finish the run on the last one allowed.
+    recordHeavyCrash() {
+        if (!this.isTimerRunning) return;
+        
+        this.heavyCrashes++;
+        if (this.mode.endsOn === 'crashes' && this.heavyCrashes >= this.mode.maxHeavyCrashes) {
+            this.endRun('crashes');
+        }
+    }
+    
+    // Heavy crashes left before the run ends, or null if crashes don't end it
+    getCrashesLeft() {
+        if (this.mode.endsOn !== 'crashes') return null;
+        return Math.max(0, this.mode.maxHeavyCrashes - this.heavyCrashes);
+    }
+    
+    // Count a finished lap. Modes that end on laps finish the run on the last one.
+    recordLap() {
+        if (!this.isTimerRunning) return;
+        
+        this.lapsCompleted++;
+        if (this.mode.endsOn === 'laps' && this.lapsCompleted >= this.mode.laps) {
+            this.endRun('laps');
+        }
+    }
+    
+    // Stop the run early or when time is up. reason is 'time', 'crashes', 'laps' or 'wrecked'.
+    endRun(reason) {
+        if (!this.isTimerRunning) return;
+        
+        this.isTimerRunning = false;
+        this.scoreEngine.stop();
+        
+        // Unranked modes don't count toward the high score
+        if (this.mode.ranked && this.score > this.highScore) {
+            this.highScore = this.score;
+            this.saveHighScore();
+        }
+        
+        // If we have a leaderboard service, refresh it first
+        if (this.leaderboardService) {
+            // Fetch latest scores before showing game over - unless the run was abandoned, or
+            // another one started, while they were loading
+            const runId = this.runId;
+            this.leaderboardService.fetchLeaderboard(this.mode)
+                .then(() => {
+                    if (runId === this.runId) this.dispatchGameOverEvent(reason);
+                })
+                .catch(error => {
+                    console.error("Failed to fetch leaderboard:", error);
+                    if (runId === this.runId) this.dispatchGameOverEvent(reason);
+                });
+        } else {
+            this.dispatchGameOverEvent(reason);
+        }
+    }
+    
     // Separate method to dispatch the game over event
-    dispatchGameOverEvent() {
+    dispatchGameOverEvent(reason = 'time') {
         // Get the top score from the leaderboard if available
         const leaderboardHighScore = this.leaderboardService ? 
-            this.leaderboardService.getTopScore() : 0;
+            this.leaderboardService.getTopScore(this.mode) : 0;
         
         // Use the higher of local high score or leaderboard high score
         const displayHighScore = Math.max(this.highScore, leaderboardHighScore);
@@ -111,75 +133,56 @@ export class GameState {
         const gameOverEvent = new CustomEvent('gameOver', {
             detail: { 
                 finalScore: this.score,
-                highScore: displayHighScore
+                highScore: displayHighScore,
+                reason: reason,
+                mode: { id: this.mode.id, duration: this.mode.duration }
             }
         });
         document.dispatchEvent(gameOverEvent);
     }
     
+    // Time left, or time driven so far in untimed modes
     getFormattedTime() {
-        const minutes = Math.floor(this.timeRemaining / 60);
-        const seconds = Math.floor(this.timeRemaining % 60);
+        const time = this.isTimed() ? this.timeRemaining : this.timeElapsed;
+        const minutes = Math.floor(time / 60);
+        const seconds = Math.floor(time % 60);
         return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
     
-    updateDriftMultiplier(isDrifting, deltaTime) {
-        let multiplierChanged = false;
-        const oldMultiplier = this.driftMultiplier;
-        
-        if (isDrifting) {
-            // Reset chain timer while drifting
-            this.driftChainTimer = 0;
-            
-            // Gradually increase multiplier while drifting
-            this.driftMultiplier = Math.min(
-                this.driftMultiplier + deltaTime * 0.5,
-                this.maxDriftMultiplier
-            );
-            
-            if (this.driftMultiplier !== oldMultiplier) {
-                multiplierChanged = true;
-            }
-        } else {
-            // Count down chain timer when not drifting
-            this.driftChainTimer += deltaTime;
-            
-            // Reset multiplier if chain times out
-            if (this.driftChainTimer >= this.driftChainTimeout) {
-                if (this.driftMultiplier > 1) {
-                    this.driftMultiplier = 1;
-                    multiplierChanged = true;
-                }
-            }
-        }
-        
-        // Notify multiplier change
-        if (multiplierChanged) {
-            this.notifyScoreUpdate();
-        }
-    }
-    
     // Set the leaderboard service reference
     setLeaderboardService(service) {
         this.leaderboardService = service;
     }
     
+    // Each ranked mode and run length keeps its own high score
+    getHighScoreKey() {
+        return `monodrift_highscore_${getModeKey(this.mode)}`;
+    }
+    
     loadHighScore() {
-        const savedScore = localStorage.getItem('monodrift_highscore');
+        let savedScore = localStorage.getItem(this.getHighScoreKey());
+        if (savedScore === null && getModeKey(this.mode) === getModeKey(DEFAULT_MODE)) {
+            savedScore = localStorage.getItem(LEGACY_HIGH_SCORE_KEY);
+        }
         return savedScore ? parseInt(savedScore, 10) : 0;
     }
     
     saveHighScore() {
-        localStorage.setItem('monodrift_highscore', this.highScore.toString());
+        localStorage.setItem(this.getHighScoreKey(), this.highScore.toString());
     }
     
-    setGameOver() {
-        this.gameOver = true;
+    // Leave the run without results - nothing is saved or submitted
+    abandonRun() {
+        this.isTimerRunning = false;
+        this.scoreEngine.stop();
+        this.runId++;
     }
     
     // Add a method to start the timer
     startTimer() {
+        this.runId++;
         this.isTimerRunning = true;
+        this.scoreEngine.start();
         console.log("Timer started, game begins!");
     }
 } 
\ No newline at end of file
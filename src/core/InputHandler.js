@@ -11,10 +11,17 @@ export class InputHandler {
             s: false,
             d: false,
             r: false,
+            e: false,
+            q: false,
+            x: false,
+            z: false,
+            h: false,
+            t: false,
             shift: false
         };
         
         this.previousKeys = {...this.keys};
+        this.isFrozen = false; // While paused nothing new is pressed
         
         // Mobile controls state
         this.isMobile = this.detectMobile();
@@ -32,7 +39,9 @@ export class InputHandler {
                 brake: false,
                 nitro: false,
                 drift: false,
-                restart: false
+                handbrake: false,
+                restart: false,
+                reset: false
             }
         };
     }
@@ -136,6 +145,7 @@ export class InputHandler {
         const buttons = [
             { id: 'nitro-button', label: 'NITRO', action: 'nitro' },
             { id: 'drift-button', label: 'DRIFT', action: 'drift' },
+            { id: 'handbrake-button', label: 'E-BRAKE', action: 'handbrake' },
             { id: 'brake-button', label: 'BRAKE', action: 'brake' }
         ];
         
@@ -189,6 +199,29 @@ export class InputHandler {
         restartButton.addEventListener('touchstart', () => this.handleButtonPress('restart', true));
         restartButton.addEventListener('touchend', () => this.handleButtonPress('restart', false));
         
+        // Reset button under it - back to the last safe spot without restarting the run
+        const resetButton = document.createElement('div');
+        resetButton.id = 'reset-button';
+        resetButton.textContent = 'T';
+        resetButton.style.position = 'absolute';
+        resetButton.style.top = '80px';
+        resetButton.style.right = '20px';
+        resetButton.style.width = '50px';
+        resetButton.style.height = '50px';
+        resetButton.style.borderRadius = '50%';
+        resetButton.style.background = 'rgba(0, 150, 255, 0.3)';
+        resetButton.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        resetButton.style.display = 'flex';
+        resetButton.style.justifyContent = 'center';
+        resetButton.style.alignItems = 'center';
+        resetButton.style.fontSize = '18px';
+        resetButton.style.fontWeight = 'bold';
+        resetButton.style.color = '#fff';
+        resetButton.style.pointerEvents = 'all';
+        
+        resetButton.addEventListener('touchstart', () => this.handleButtonPress('reset', true));
+        resetButton.addEventListener('touchend', () => this.handleButtonPress('reset', false));
+        
         // Add leaderboard button for mobile
         const leaderboardButton = document.createElement('div');
         leaderboardButton.id = 'mobile-leaderboard-button';
@@ -216,11 +249,13 @@ export class InputHandler {
         
         container.appendChild(buttonContainer);
         container.appendChild(restartButton);
+        container.appendChild(resetButton);
         container.appendChild(leaderboardButton);
     }
     
     handleJoystickStart(event) {
         event.preventDefault();
+        if (this.isFrozen) return;
         const touch = event.touches[0];
         const joystickRect = event.target.getBoundingClientRect();
         
@@ -290,6 +325,8 @@ export class InputHandler {
     }
     
     handleButtonPress(action, isPressed) {
+        if (this.isFrozen && isPressed) return;
+        
         switch (action) {
             case 'nitro':
                 this.keys.shift = isPressed;
@@ -299,6 +336,10 @@ export class InputHandler {
                 this.keys.space = isPressed;
                 this.touchControls.buttons.drift = isPressed;
                 break;
+            case 'handbrake':
+                this.keys.e = isPressed;
+                this.touchControls.buttons.handbrake = isPressed;
+                break;
             case 'brake':
                 this.keys.arrowDown = isPressed;
                 this.keys.s = isPressed;
@@ -308,6 +349,10 @@ export class InputHandler {
                 this.keys.r = isPressed;
                 this.touchControls.buttons.restart = isPressed;
                 break;
+            case 'reset':
+                this.keys.t = isPressed;
+                this.touchControls.buttons.reset = isPressed;
+                break;
         }
         
         // Visual feedback for button press
@@ -353,6 +398,8 @@ export class InputHandler {
     }
     
     handleKeyDown(event) {
+        if (this.isFrozen) return;
+        
         switch (event.key) {
             case 'ArrowUp':
                 this.keys.arrowUp = true;
@@ -386,6 +433,30 @@ export class InputHandler {
             case 'R':
                 this.keys.r = true;
                 break;
+            case 'e':
+            case 'E':
+                this.keys.e = true;
+                break;
+            case 'q':
+            case 'Q':
+                this.keys.q = true;
+                break;
+            case 'x':
+            case 'X':
+                this.keys.x = true;
+                break;
+            case 'z':
+            case 'Z':
+                this.keys.z = true;
+                break;
+            case 'h':
+            case 'H':
+                this.keys.h = true;
+                break;
+            case 't':
+            case 'T':
+                this.keys.t = true;
+                break;
             case ' ':
                 this.keys.space = true;
                 break;
@@ -429,6 +500,30 @@ export class InputHandler {
             case 'R':
                 this.keys.r = false;
                 break;
+            case 'e':
+            case 'E':
+                this.keys.e = false;
+                break;
+            case 'q':
+            case 'Q':
+                this.keys.q = false;
+                break;
+            case 'x':
+            case 'X':
+                this.keys.x = false;
+                break;
+            case 'z':
+            case 'Z':
+                this.keys.z = false;
+                break;
+            case 'h':
+            case 'H':
+                this.keys.h = false;
+                break;
+            case 't':
+            case 'T':
+                this.keys.t = false;
+                break;
             case ' ':
                 this.keys.space = false;
                 break;
@@ -438,6 +533,31 @@ export class InputHandler {
         }
     }
     
+    // Freeze or unfreeze the controls. Either way everything is released, so keys that went up
+    // while the game wasn't listening (paused, tab hidden) don't stay stuck down.
+    setFrozen(frozen) {
+        this.isFrozen = frozen;
+        this.releaseAll();
+    }
+    
+    releaseAll() {
+        Object.keys(this.keys).forEach(key => {
+            this.keys[key] = false;
+        });
+        this.previousKeys = {...this.keys};
+        
+        const joystick = this.touchControls.joystick;
+        joystick.active = false;
+        joystick.moveX = 0;
+        joystick.moveY = 0;
+        if (joystick.element) {
+            joystick.element.style.transform = 'translate(-50%, -50%)';
+        }
+        Object.keys(this.touchControls.buttons).forEach(button => {
+            this.touchControls.buttons[button] = false;
+        });
+    }
+    
     update() {
         // Store current key state for next frame comparison
         this.previousKeys = {...this.keys};
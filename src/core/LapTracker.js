@@ -0,0 +1,174 @@
+const BEST_LAPS_KEY = 'monodrift_best_laps';
+
+// Laps of a circuit (City.circuit). The car has to drive through the checkpoint gates in order,
+// starting and finishing on the first one. The first crossing of the start line starts lap 1;
+// every gate after that is a split, timed from the start of the lap and compared with the same
+// split on the personal best lap. Crossing any gate against its direction means the car is going
+// the wrong way, until it next crosses a gate the right way.
+//
+// Times are run times in seconds (GameState.timeElapsed).
+export class LapTracker {
+    constructor(circuit) {
+        this.circuit = circuit;
+        this.checkpoints = circuit.checkpoints;
+        
+        this.lapBonus = 300; // Points for a lap at the circuit's par time - faster laps pay more
+        
+        this.personalBest = this.loadPersonalBest(); // { lapTime, splits } or null
+        this.reset();
+    }
+    
+    reset() {
+        this.lapsCompleted = 0;
+        this.bestLapTime = null; // Best lap this run
+        this.lastSplit = null; // { checkpoint, time, delta, at } - the latest split or lap time and the run time it was set at, for the HUD
+        this.wrongWay = false;
+        this.abortLap();
+    }
+    
+    // Throw away the lap in progress - the next crossing of the start line starts a new one
+    abortLap() {
+        this.lapStartTime = null;
+        this.nextCheckpoint = 0;
+        this.splits = []; // Split times this lap, one per checkpoint after the start line
+    }
+    
+    isLapRunning() {
+        return this.lapStartTime !== null;
+    }
+    
+    // Time into the lap in progress
+    getLapTime(time) {
+        return this.isLapRunning() ? time - this.lapStartTime : 0;
+    }
+    
+    // Check the car's move this simulation step against the gates. Returns the splits and laps it
+    // completed as { type: 'split', checkpoint, time, delta } and
+    // { type: 'lap', checkpoint: 0, lap, lapTime, sectorTimes, delta, isPersonalBest, points }. delta is the time
+    // against the personal best, or null without one.
+    update(previousPosition, position, time) {
+        const events = [];
+        
+        this.checkpoints.forEach((checkpoint, index) => {
+            const crossing = this.getCrossing(checkpoint, previousPosition, position);
+            if (!crossing) return;
+            
+            if (crossing === 'backward') {
+                this.wrongWay = true;
+                return;
+            }
+            
+            this.wrongWay = false;
+            if (index !== this.nextCheckpoint) return;
+            
+            if (index === 0) {
+                if (this.isLapRunning()) {
+                    events.push(this.completeLap(time));
+                }
+                this.lapStartTime = time;
+                this.splits = [];
+            } else {
+                events.push(this.addSplit(index, time));
+            }
+            this.nextCheckpoint = (index + 1) % this.checkpoints.length;
+        });
+        
+        return events;
+    }
+    
+    addSplit(index, time) {
+        const splitTime = time - this.lapStartTime;
+        this.splits.push(splitTime);
+        
+        const best = this.personalBest;
+        const delta = best && index <= best.splits.length ? splitTime - best.splits[index - 1] : null;
+        this.lastSplit = { checkpoint: index, time: splitTime, delta, at: time };
+        return { type: 'split', checkpoint: index, time: splitTime, delta };
+    }
+    
+    completeLap(time) {
+        const lapTime = time - this.lapStartTime;
+        const best = this.personalBest;
+        const delta = best ? lapTime - best.lapTime : null;
+        const isPersonalBest = !best || lapTime < best.lapTime;
+        
+        // Sector times from the splits - the last sector ends on the start line
+        const splits = [...this.splits, lapTime];
+        const sectorTimes = splits.map((split, index) => split - (index > 0 ? splits[index - 1] : 0));
+        
+        this.lapsCompleted++;
+        this.bestLapTime = this.bestLapTime === null ? lapTime : Math.min(this.bestLapTime, lapTime);
+        this.lastSplit = { checkpoint: 0, time: lapTime, delta, at: time };
+        
+        if (isPersonalBest) {
+            this.personalBest = { lapTime, splits: this.splits };
+            this.savePersonalBest();
+        }
+        
+        return {
+            type: 'lap',
+            checkpoint: 0,
+            lap: this.lapsCompleted,
+            lapTime,
+            sectorTimes,
+            delta,
+            isPersonalBest,
+            points: this.getLapPoints(lapTime)
+        };
+    }
+    
+    // The lap bonus scaled by how much faster than par the lap was, rounded to tens
+    getLapPoints(lapTime) {
+        return Math.round(this.lapBonus * this.circuit.parLapTime / lapTime / 10) * 10;
+    }
+    
+    // 'forward' or 'backward' if the move from previousPosition to position goes through the gate
+    getCrossing(checkpoint, previousPosition, position) {
+        const center = checkpoint.position;
+        const direction = checkpoint.direction;
+        const before = (previousPosition.x - center.x) * direction.x + (previousPosition.z - center.y) * direction.y;
+        const after = (position.x - center.x) * direction.x + (position.z - center.y) * direction.y;
+        if ((before < 0) === (after < 0)) return null;
+        
+        // Where the move meets the gate line, measured along the gate
+        const t = before / (before - after);
+        const x = previousPosition.x + (position.x - previousPosition.x) * t - center.x;
+        const z = previousPosition.z + (position.z - previousPosition.z) * t - center.y;
+        if (Math.abs(x * direction.y - z * direction.x) > checkpoint.width / 2) return null;
+        
+        return after >= 0 ? 'forward' : 'backward';
+    }
+    
+    loadPersonalBest() {
+        return loadBestLaps()[this.circuit.id] || null;
+    }
+    
+    savePersonalBest() {
+        const bestLaps = loadBestLaps();
+        bestLaps[this.circuit.id] = this.personalBest;
+        localStorage.setItem(BEST_LAPS_KEY, JSON.stringify(bestLaps));
+    }
+}
+
+// Personal best laps by circuit id
+function loadBestLaps() {
+    try {
+        return JSON.parse(localStorage.getItem(BEST_LAPS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Lap or split time as m:ss.cc
+export function formatLapTime(time) {
+    const hundredths = Math.round(time * 100);
+    const minutes = Math.floor(hundredths / 6000);
+    const seconds = (hundredths % 6000 / 100).toFixed(2).padStart(5, '0');
+    return `${minutes}:${seconds}`;
+}
+
+// Time against the personal best as +0.42 / -0.31
+export function formatDelta(delta) {
+    const hundredths = Math.round(delta * 100);
+    return `${hundredths < 0 ? '-' : '+'}${(Math.abs(hundredths) / 100).toFixed(2)}`;
+} 
\ No newline at end of file
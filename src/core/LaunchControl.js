@@ -0,0 +1,64 @@
+// Judges the start of a run. The car is held on the grid through a 3-2-1 countdown, where the
+// throttle only revs the engine. Once "1" shows the player has to lift and wait: hitting the
+// throttle right on GO launches the car, being on it any earlier jumps the start.
+//
+// Times are seconds relative to GO - negative during the countdown.
+export class LaunchControl {
+    constructor() {
+        this.countdownTime = 3; // Seconds from "3" to GO
+        this.liftGrace = 0.3; // Seconds into "1" to get off the throttle
+        this.perfectBefore = 0.25; // How early a throttle press on GO can be
+        this.perfectAfter = 0.15; // How late a throttle press on GO can be
+        this.launchBoost = 5; // Speed (m/s) a perfect launch adds
+        this.jumpStartHold = 1.0; // Extra seconds held on the grid after a jump start
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.result = null; // 'perfect', 'jumpStart' or 'normal' once the start is judged
+        this.wasOnThrottle = false;
+        this.hasLaunched = false;
+    }
+    
+    // Number on screen during the countdown - 3, 2, 1 - or 0 from GO
+    getCountdownNumber(timeToGo) {
+        return timeToGo < 0 ? Math.ceil(-timeToGo) : 0;
+    }
+    
+    // Whether the car is still held on the grid
+    isHolding(timeToGo) {
+        if (timeToGo < 0) return true;
+        return this.result === 'jumpStart' && timeToGo < this.jumpStartHold;
+    }
+    
+    // Watch the throttle for one simulation step, and give a perfect start its boost once the car
+    // is let go. Returns 'perfect' or 'jumpStart' on the step the start is judged that way, otherwise null.
+    update(car, keys, timeToGo) {
+        const onThrottle = keys.arrowUp || keys.w;
+        const pressed = onThrottle && !this.wasOnThrottle;
+        this.wasOnThrottle = onThrottle;
+        
+        const judged = this.result ? null : this.judge(onThrottle, pressed, timeToGo);
+        
+        if (this.result === 'perfect' && !this.hasLaunched && timeToGo >= 0) {
+            car.launch(this.launchBoost);
+            this.hasLaunched = true;
+        }
+        
+        return judged === 'normal' ? null : judged;
+    }
+    
+    judge(onThrottle, pressed, timeToGo) {
+        // On the throttle after "1" has had time to sink in, but before the window on GO
+        const liftBy = -1 + this.liftGrace;
+        if (onThrottle && timeToGo >= liftBy && timeToGo < -this.perfectBefore) {
+            this.result = 'jumpStart';
+        } else if (pressed && timeToGo >= -this.perfectBefore && timeToGo <= this.perfectAfter) {
+            this.result = 'perfect';
+        } else if (timeToGo > this.perfectAfter) {
+            this.result = 'normal';
+        }
+        return this.result;
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+import { DecalGeometry } from 'three/examples/jsm/geometries/DecalGeometry.js';
+import { findModelNodes } from './Vehicles.js';
+
+// Player customization for a car. Colors are '#rrggbb' strings; a null body or rim color keeps
+// the model's own paint.
+//   bodyColor   - body paint (vehicle.paint.body meshes)
+//   rimColor    - wheel rims (vehicle.paint.rims meshes)
+//   stripes     - stripe set projected onto the body, one of STRIPE_STYLES
+//   stripeColor - stripe color
+//   smokeColor  - tire smoke and skid marks on tarmac
+export const STRIPE_STYLES = {
+    none: 'None',
+    center: 'Center stripe',
+    twin: 'Twin stripes',
+    sides: 'Side stripes'
+};
+
+export const DEFAULT_LIVERY = {
+    bodyColor: null,
+    rimColor: null,
+    stripes: 'none',
+    stripeColor: '#ffffff',
+    smokeColor: '#ffffff'
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Fill in missing values and drop anything that isn't a valid color or stripe style
+export function normalizeLivery(data) {
+    const livery = { ...DEFAULT_LIVERY };
+    if (!data) return livery;
+    
+    ['bodyColor', 'rimColor', 'stripeColor', 'smokeColor'].forEach(key => {
+        if (typeof data[key] === 'string' && COLOR_PATTERN.test(data[key])) {
+            livery[key] = data[key].toLowerCase();
+        }
+    });
+    
+    if (STRIPE_STYLES[data.stripes]) {
+        livery.stripes = data.stripes;
+    }
+    
+    return livery;
+}
+
+// Stripe projectors as fractions of the body's bounds. Top stripes are projected straight down,
+// side stripes inward from each flank.
+const STRIPE_LAYOUTS = {
+    none: [],
+    center: [{ face: 'top', offset: 0, width: 0.3 }],
+    twin: [
+        { face: 'top', offset: -0.14, width: 0.12 },
+        { face: 'top', offset: 0.14, width: 0.12 }
+    ],
+    sides: [
+        { face: 'left', offset: 0.45, width: 0.12 },
+        { face: 'right', offset: 0.45, width: 0.12 }
+    ]
+};
+
+// Paint a model's body and rims and lay the stripes over the body. The model must already be
+// added to its parent, which is the car space the stripes are laid out in. paint names the
+// body and rim meshes (see vehicle definitions).
+export function paintModel(model, paint, livery) {
+    const parts = (names) => findModelNodes(model, names).filter(node => node.isMesh);
+    
+    const body = parts(paint.body);
+    paintParts(body, livery.bodyColor);
+    paintParts(parts(paint.rims), livery.rimColor);
+    
+    // Replace the previous stripes
+    (model.userData.liveryStripes || []).forEach(stripe => {
+        stripe.parent.remove(stripe);
+        stripe.geometry.dispose();
+        stripe.material.dispose();
+    });
+    model.userData.liveryStripes = [];
+    
+    const layout = STRIPE_LAYOUTS[livery.stripes];
+    if (layout.length === 0 || body.length === 0 || !model.parent) return;
+    
+    const stripeMaterial = new THREE.MeshStandardMaterial({
+        color: livery.stripeColor,
+        roughness: 0.4,
+        metalness: 0.3,
+        polygonOffset: true,
+        polygonOffsetFactor: -4 // Keep the stripes in front of the paint they sit on
+    });
+    
+    model.parent.updateMatrixWorld(true);
+    const bounds = getBounds(body, model.parent);
+    const toModel = model.matrixWorld.clone().invert();
+    
+    layout.forEach(stripe => {
+        const projector = getStripeProjector(stripe, bounds, model.parent);
+        body.forEach(mesh => {
+            const geometry = new DecalGeometry(mesh, projector.position, projector.orientation, projector.size);
+            if (geometry.attributes.position.count === 0) {
+                geometry.dispose();
+                return;
+            }
+            
+            // Decals come out in world space - move them into the model so they follow it
+            geometry.applyMatrix4(toModel);
+            const decal = new THREE.Mesh(geometry, stripeMaterial.clone());
+            decal.castShadow = true;
+            model.add(decal);
+            model.userData.liveryStripes.push(decal);
+        });
+    });
+    
+    stripeMaterial.dispose();
+}
+
+// Set a color on meshes, giving each its own material first. null restores the stock color.
+function paintParts(meshes, color) {
+    meshes.forEach(mesh => {
+        if (!mesh.userData.stockColor) {
+            mesh.material = mesh.material.clone();
+            mesh.userData.stockColor = mesh.material.color.clone();
+        }
+        
+        if (color) {
+            mesh.material.color.set(color);
+        } else {
+            mesh.material.color.copy(mesh.userData.stockColor);
+        }
+    });
+}
+
+// Bounding box of meshes in the space of another object
+function getBounds(meshes, space) {
+    const toSpace = space.matrixWorld.clone().invert();
+    const bounds = new THREE.Box3();
+    
+    meshes.forEach(mesh => {
+        if (!mesh.geometry.boundingBox) {
+            mesh.geometry.computeBoundingBox();
+        }
+        const matrix = toSpace.clone().multiply(mesh.matrixWorld);
+        bounds.union(mesh.geometry.boundingBox.clone().applyMatrix4(matrix));
+    });
+    
+    return bounds;
+}
+
+// World space DecalGeometry projector for one stripe. Car space: -z is the nose, +x the right.
+function getStripeProjector(stripe, bounds, space) {
+    const size = bounds.getSize(new THREE.Vector3());
+    const center = bounds.getCenter(new THREE.Vector3());
+    const length = size.z * 1.1;
+    
+    const position = new THREE.Vector3();
+    const rotation = new THREE.Euler();
+    const projectorSize = new THREE.Vector3();
+    
+    if (stripe.face === 'top') {
+        // Straight down through the whole body, so the stripe follows bonnet, roof and boot
+        position.set(center.x + stripe.offset * size.x, center.y, center.z);
+        rotation.set(-Math.PI / 2, 0, 0);
+        projectorSize.set(stripe.width * size.x, length, size.y * 1.2);
+    } else {
+        // Inward from one flank, only as deep as half the body
+        const side = stripe.face === 'right' ? 1 : -1;
+        position.set(center.x + side * size.x / 4, bounds.min.y + stripe.offset * size.y, center.z);
+        rotation.set(0, side * Math.PI / 2, 0);
+        projectorSize.set(length, stripe.width * size.y, size.x / 2);
+    }
+    
+    // Car space to world space
+    const matrix = space.matrixWorld.clone().multiply(
+        new THREE.Matrix4().compose(position, new THREE.Quaternion().setFromEuler(rotation), new THREE.Vector3(1, 1, 1))
+    );
+    const worldPosition = new THREE.Vector3();
+    const worldQuaternion = new THREE.Quaternion();
+    matrix.decompose(worldPosition, worldQuaternion, new THREE.Vector3());
+    
+    return {
+        position: worldPosition,
+        orientation: new THREE.Euler().setFromQuaternion(worldQuaternion),
+        size: projectorSize
+    };
+} 
\ No newline at end of file
@@ -1,14 +1,34 @@
 import * as THREE from 'three';
+import { getSurfaceType } from './Surfaces.js';
 
 export class Physics {
     constructor() {
         this.gravity = 9.8;
         this.friction = 0.95; // Regular friction
         this.driftFriction = 0.995; // Almost no friction during drifting
+        this.tireSubstep = 1 / 240; // Max integration step for tire forces
+        
+        // Collision response - impact speed is the velocity component into the collider
+        this.scrapeImpactSpeed = 4.0; // Below this a contact just scrapes along the wall
+        this.crashImpactSpeed = 14.0; // Above this a head-on hit is a full crash
+        this.headOnAlignment = 0.6; // How squarely the nose/tail must face the wall for a crash
+        this.scrapeSpeedLoss = 0.08; // Fraction of speed lost per scraping contact
+        this.scrapeAlignRate = 0.3; // How much the car yaws toward the wall on a scrape
+        this.bounceRestitution = 0.4; // Bounciness for medium impacts
+        
+        // Vertical dynamics
+        this.maxStepHeight = 0.4; // Taller rises than this are treated as a wall face
+        this.maxClimbSlope = 0.6; // Steepest gradient (rise over run) the car can drive up
+        this.groundProbeHeight = 50; // Ground rays start this far above the car
+        this.hardLandingSpeed = 8.0; // Vertical speed at which a landing fully compresses the suspension
+        
+        // Surfaces
+        this.surfaceDragRate = 0.08; // Speed lost per second for each unit of rolling resistance above 1
         this.collisionObjects = [];
         
-        // Raycaster for collision detection
+        // Raycaster for ground height queries
         this.raycaster = new THREE.Raycaster();
+        this.downDirection = new THREE.Vector3(0, -1, 0);
     }
     
     addCollisionObject(object) {
@@ -23,43 +43,504 @@ export class Physics {
     }
     
     checkCollisions(car, city) {
-        // Check car collision with city objects
-        // Use car's bounding box or sphere for quick checks
+        // Check the car's oriented box against every city collider
         if (!car.mesh || !city.colliders) return false;
         
-        const carPosition = car.mesh.position.clone();
-        const carDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(car.mesh.quaternion);
+        // Sweep from where the car started this step so fast cars can't tunnel through walls
+        const start = car.previousPosition;
+        const end = car.mesh.position.clone();
+        const startRotation = car.previousRotation;
+        const endRotation = car.mesh.rotation.y;
         
-        // Set up raycaster from car position in the direction of movement
-        this.raycaster.set(carPosition, carDirection);
+        const travel = start.distanceTo(end);
+        const sampleSpacing = Math.min(car.collisionHalfWidth, car.collisionHalfLength) * 0.5;
+        const samples = Math.max(1, Math.ceil(travel / sampleSpacing));
         
-        // Check collision with city objects
-        const intersects = this.raycaster.intersectObjects(city.colliders, true);
-        
-        // If we hit something and it's close enough
-        if (intersects.length > 0 && intersects[0].distance < car.collisionRadius) {
-            this.handleCollision(car, intersects[0]);
-            return true;
+        const samplePosition = new THREE.Vector3();
+        for (let i = 1; i <= samples; i++) {
+            const t = i / samples;
+            samplePosition.lerpVectors(start, end, t);
+            const sampleRotation = THREE.MathUtils.lerp(startRotation, endRotation, t);
+            
+            const contact = this.findContact(car, samplePosition, sampleRotation, city.colliders);
+            if (contact) {
+                // Move the car back to the first touching position of the sweep
+                car.mesh.position.copy(samplePosition);
+                car.mesh.rotation.y = sampleRotation;
+                
+                this.handleCollision(car, contact);
+                return true;
+            }
         }
         
         return false;
     }
     
-    handleCollision(car, collision) {
+    // Find the deepest contact between the car box at a given pose and the colliders
+    findContact(car, position, rotation, colliders) {
+        const carBox = this.getCarBox(car, position, rotation);
+        let deepest = null;
+        
+        for (const collider of colliders) {
+            const colliderBox = this.getColliderBox(collider);
+            
+            // Skip colliders the car is above or below
+            if (carBox.minY > colliderBox.maxY || carBox.maxY < colliderBox.minY) continue;
+            
+            // Cheap bounding circle rejection
+            const dx = carBox.center.x - colliderBox.center.x;
+            const dz = carBox.center.y - colliderBox.center.y;
+            const reach = carBox.radius + colliderBox.radius;
+            if (dx * dx + dz * dz > reach * reach) continue;
+            
+            const contact = this.intersectBoxes(carBox, colliderBox);
+            if (contact && (!deepest || contact.depth > deepest.depth)) {
+                contact.object = collider;
+                deepest = contact;
+            }
+        }
+        
+        return deepest;
+    }
+    
+    // Oriented box of the car on the ground plane (x/z packed into Vector2 x/y)
+    getCarBox(car, position, rotation) {
+        const right = new THREE.Vector2(Math.cos(rotation), -Math.sin(rotation));
+        const forward = new THREE.Vector2(-Math.sin(rotation), -Math.cos(rotation));
+        
+        return {
+            center: new THREE.Vector2(position.x, position.z),
+            axes: [right, forward],
+            halfExtents: [car.collisionHalfWidth, car.collisionHalfLength],
+            radius: Math.hypot(car.collisionHalfWidth, car.collisionHalfLength),
+            minY: position.y,
+            maxY: position.y + car.collisionHeight
+        };
+    }
+    
+    // Oriented box of a static collider, cached on the object after the first lookup
+    getColliderBox(collider) {
+        if (collider.userData.collisionBox) return collider.userData.collisionBox;
+        
+        collider.updateMatrixWorld(true);
+        if (!collider.geometry.boundingBox) {
+            collider.geometry.computeBoundingBox();
+        }
+        
+        const localBox = collider.geometry.boundingBox;
+        const localCenter = localBox.getCenter(new THREE.Vector3());
+        const localSize = localBox.getSize(new THREE.Vector3());
+        const matrix = collider.matrixWorld;
+        const e = matrix.elements;
+        
+        // World-space X and Z axes of the collider, flattened onto the ground plane
+        const axisX = new THREE.Vector2(e[0], e[2]);
+        const axisZ = new THREE.Vector2(e[8], e[10]);
+        const halfX = localSize.x * 0.5 * axisX.length();
+        const halfZ = localSize.z * 0.5 * axisZ.length();
+        axisX.normalize();
+        axisZ.normalize();
+        
+        const worldCenter = localCenter.applyMatrix4(matrix);
+        const worldBounds = new THREE.Box3().setFromObject(collider);
+        
+        const box = {
+            center: new THREE.Vector2(worldCenter.x, worldCenter.z),
+            axes: [axisX, axisZ],
+            halfExtents: [halfX, halfZ],
+            radius: Math.hypot(halfX, halfZ),
+            minY: worldBounds.min.y,
+            maxY: collider.userData.isBoundary ? Infinity : worldBounds.max.y
+        };
+        
+        collider.userData.collisionBox = box;
+        return box;
+    }
+    
+    // Separating axis test between two oriented boxes on the ground plane.
+    // Returns the contact normal (pointing from the collider toward the car) and penetration depth.
+    intersectBoxes(carBox, colliderBox) {
+        const offset = carBox.center.clone().sub(colliderBox.center);
+        let minOverlap = Infinity;
+        let bestAxis = null;
+        
+        const axes = [...carBox.axes, ...colliderBox.axes];
+        for (const axis of axes) {
+            const carExtent = this.projectBox(carBox, axis);
+            const colliderExtent = this.projectBox(colliderBox, axis);
+            const distance = offset.dot(axis);
+            const overlap = carExtent + colliderExtent - Math.abs(distance);
+            
+            // Found a separating axis - no contact
+            if (overlap <= 0) return null;
+            
+            if (overlap < minOverlap) {
+                minOverlap = overlap;
+                bestAxis = distance < 0 ? axis.clone().negate() : axis.clone();
+            }
+        }
+        
+        return {
+            normal: new THREE.Vector3(bestAxis.x, 0, bestAxis.y),
+            depth: minOverlap
+        };
+    }
+    
+    projectBox(box, axis) {
+        return box.halfExtents[0] * Math.abs(box.axes[0].dot(axis)) +
+            box.halfExtents[1] * Math.abs(box.axes[1].dot(axis));
+    }
+    
+    // Closest gap between the car body and any collider within range.
+    // Returns { distance, object } or null when nothing is that close.
+    measureClearance(car, colliders, range) {
+        if (!car.mesh || !colliders) return null;
+        
+        const carBox = this.getCarBox(car, car.mesh.position, car.mesh.rotation.y);
+        let closest = null;
+        
+        for (const collider of colliders) {
+            const colliderBox = this.getColliderBox(collider);
+            if (carBox.minY > colliderBox.maxY || carBox.maxY < colliderBox.minY) continue;
+            
+            const dx = carBox.center.x - colliderBox.center.x;
+            const dz = carBox.center.y - colliderBox.center.y;
+            const reach = carBox.radius + colliderBox.radius + range;
+            if (dx * dx + dz * dz > reach * reach) continue;
+            
+            const distance = this.getBoxDistance(carBox, colliderBox);
+            if (distance <= range && (!closest || distance < closest.distance)) {
+                closest = { distance, object: collider };
+            }
+        }
+        
+        return closest;
+    }
+    
+    // Gap between two oriented boxes on the ground plane, 0 when they touch. Apart, the closest
+    // points always include a corner of one box, so checking every corner against the other box is enough.
+    getBoxDistance(boxA, boxB) {
+        if (this.intersectBoxes(boxA, boxB)) return 0;
+        
+        let distance = Infinity;
+        this.getBoxCorners(boxA).forEach(corner => {
+            distance = Math.min(distance, this.getPointBoxDistance(corner, boxB));
+        });
+        this.getBoxCorners(boxB).forEach(corner => {
+            distance = Math.min(distance, this.getPointBoxDistance(corner, boxA));
+        });
+        return distance;
+    }
+    
+    getBoxCorners(box) {
+        const [axisA, axisB] = box.axes;
+        const [halfA, halfB] = box.halfExtents;
+        return [[1, 1], [1, -1], [-1, -1], [-1, 1]].map(([a, b]) => box.center.clone()
+            .addScaledVector(axisA, a * halfA)
+            .addScaledVector(axisB, b * halfB));
+    }
+    
+    getPointBoxDistance(point, box) {
+        const offset = point.clone().sub(box.center);
+        const outsideA = Math.max(0, Math.abs(offset.dot(box.axes[0])) - box.halfExtents[0]);
+        const outsideB = Math.max(0, Math.abs(offset.dot(box.axes[1])) - box.halfExtents[1]);
+        return Math.hypot(outsideA, outsideB);
+    }
+    
+    handleCollision(car, contact) {
+        const normal = contact.normal;
+        
+        // Push the car out of the collider along the contact normal
+        car.mesh.position.addScaledVector(normal, contact.depth + 0.01);
+        
+        // Severity comes from how fast the car is moving into the collider
+        const impactSpeed = Math.max(0, -car.velocityVector.dot(normal));
+        const forward = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), car.mesh.rotation.y);
+        const isHeadOn = Math.abs(forward.dot(normal)) > this.headOnAlignment;
+        
+        // Approximate contact point on the car's surface facing the collider
+        const contactPoint = car.mesh.position.clone().addScaledVector(normal, -car.collisionHalfWidth);
+        
+        // Hard enough hits dent the side of the car facing the collider
+        car.applyDamage(normal, impactSpeed);
+        
+        let severity;
+        if (impactSpeed >= this.crashImpactSpeed && isHeadOn) {
+            severity = 'crash';
+            this.applyCrashResponse(car, normal);
+        } else if (impactSpeed >= this.scrapeImpactSpeed) {
+            severity = 'impact';
+            this.applyBounceResponse(car, normal, forward);
+            car.onImpact(contactPoint, normal, impactSpeed);
+        } else {
+            severity = 'scrape';
+            this.applyScrapeResponse(car, normal, forward);
+            car.onWallScrape(contactPoint, normal, impactSpeed);
+        }
+        
+        document.dispatchEvent(new CustomEvent('collision', {
+            detail: {
+                severity: severity,
+                impactSpeed: impactSpeed,
+                normal: normal.clone(),
+                position: contactPoint,
+                object: contact.object
+            }
+        }));
+        
+        // Return true to indicate a collision was handled
+        return true;
+    }
+    
+    // Light contact - drop the velocity into the wall and slide along it
+    applyScrapeResponse(car, normal, forward) {
+        const intoWall = car.velocityVector.dot(normal);
+        if (intoWall < 0) {
+            car.velocityVector.addScaledVector(normal, -intoWall);
+        }
+        car.velocityVector.multiplyScalar(1 - this.scrapeSpeedLoss);
+        
+        // Yaw the car toward the wall tangent so grip driving keeps sliding instead of grinding
+        const slideSpeed = car.velocityVector.length();
+        if (slideSpeed > 0.1) {
+            const movingForward = car.velocityVector.dot(forward) >= 0;
+            const travel = car.velocityVector.clone().multiplyScalar(movingForward ? 1 : -1);
+            const targetHeading = Math.atan2(-travel.x, -travel.z);
+            const headingError = Math.atan2(
+                Math.sin(targetHeading - car.mesh.rotation.y),
+                Math.cos(targetHeading - car.mesh.rotation.y)
+            );
+            car.mesh.rotation.y += headingError * this.scrapeAlignRate;
+            car.velocity = movingForward ? slideSpeed : -slideSpeed;
+        } else {
+            car.velocity = 0;
+        }
+    }
+    
+    // Medium hit - bounce off the wall and lose a good chunk of speed
+    applyBounceResponse(car, normal, forward) {
+        if (car.velocityVector.dot(normal) < 0) {
+            car.velocityVector.reflect(normal);
+        }
+        
+        // Only the normal component bounces back with restitution
+        const awayFromWall = car.velocityVector.dot(normal);
+        car.velocityVector.addScaledVector(normal, -awayFromWall * (1 - this.bounceRestitution));
+        car.velocityVector.multiplyScalar(0.7);
+        
+        // Grip driving rebuilds the velocity along the heading, so carry the signed speed over
+        car.velocity = car.velocityVector.dot(forward);
+        car.yawRate *= 0.5;
+    }
+    
+    // Heavy head-on hit - the original crash/revive flow
+    applyCrashResponse(car, normal) {
         // Reduce speed significantly
         car.velocity *= 0.3;
         
-        // Apply small bounce back
-        const normal = collision.face ? collision.face.normal : new THREE.Vector3(0, 0, 1);
+        // Apply small bounce back, but only if the car is moving into the collider
         const reflectionFactor = 0.5;
-        
-        car.velocityVector.reflect(normal).multiplyScalar(reflectionFactor);
+        if (car.velocityVector.dot(normal) < 0) {
+            car.velocityVector.reflect(normal);
+        }
+        car.velocityVector.multiplyScalar(reflectionFactor);
         
         // Trigger crash effect and collision recovery
         car.triggerCrash();
+    }
+    
+    // Find the highest driveable surface below a point.
+    // Returns { height, normal, object } or null when there is nothing underneath.
+    sampleGround(position, city) {
+        const origin = new THREE.Vector3(position.x, position.y + this.groundProbeHeight, position.z);
+        this.raycaster.set(origin, this.downDirection);
+        this.raycaster.far = Infinity;
         
-        // Return true to indicate a collision was handled
-        return true;
+        const hits = this.raycaster.intersectObjects(city.surfaces, false);
+        if (hits.length === 0) return null;
+        
+        const hit = hits[0];
+        const normal = hit.face
+            ? hit.face.normal.clone().transformDirection(hit.object.matrixWorld)
+            : new THREE.Vector3(0, 1, 0);
+        
+        return {
+            height: hit.point.y,
+            normal: normal,
+            object: hit.object
+        };
+    }
+    
+    // Keep the car on the ground, launch it off ramp lips and let it fall under gravity
+    updateVerticalDynamics(car, city, deltaTime) {
+        if (!car.mesh || !city.surfaces) return;
+        
+        const position = car.mesh.position;
+        const ground = this.sampleGround(position, city);
+        const groundHeight = ground ? ground.height : 0;
+        
+        if (car.isAirborne) {
+            // Ballistic flight
+            car.verticalVelocity -= this.gravity * deltaTime;
+            position.y += car.verticalVelocity * deltaTime;
+            car.airTime += deltaTime;
+            
+            if (position.y <= groundHeight) {
+                this.landCar(car, groundHeight);
+            }
+            return;
+        }
+        
+        const rise = groundHeight - position.y;
+        
+        // A sudden rise under the centre or the leading edge is the side of a ramp
+        // or the edge of a banked curve - treat it as a wall
+        if (!car.isCollided) {
+            const leadingGround = this.sampleLeadingEdge(car, city);
+            const leadingStepHeight = this.maxStepHeight + this.maxClimbSlope * car.collisionHalfLength;
+            if (rise > this.maxStepHeight ||
+                (leadingGround && leadingGround.height - position.y > leadingStepHeight)) {
+                this.handleStepCollision(car, leadingGround || ground);
+                return;
+            }
+        }
+        
+        // Would the car still be touching the surface if it just kept its vertical speed?
+        const ballisticHeight = position.y + car.verticalVelocity * deltaTime -
+            0.5 * this.gravity * deltaTime * deltaTime;
+        
+        if (ballisticHeight > groundHeight + 0.05) {
+            // The ground fell away faster than gravity can follow - off a lip or an edge
+            this.launchCar(car);
+            position.y = ballisticHeight;
+            car.verticalVelocity -= this.gravity * deltaTime;
+            return;
+        }
+        
+        // Follow the surface, tracking the vertical speed its slope gives the car.
+        // Small steps like painted lines are snapped over without adding any.
+        const n = ground ? ground.normal : null;
+        car.verticalVelocity = n && n.y > 0.01
+            ? -(n.x * car.velocityVector.x + n.z * car.velocityVector.z) / n.y
+            : 0;
+        position.y = groundHeight;
+        
+        // Gravity pulls the car down slopes and banks
+        if (n && n.y < 0.999) {
+            const slopeAccel = new THREE.Vector3(n.x, 0, n.z).multiplyScalar(this.gravity * n.y);
+            const forward = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), car.mesh.rotation.y);
+            
+            car.velocity += slopeAccel.dot(forward) * deltaTime;
+            car.velocityVector.addScaledVector(slopeAccel, deltaTime);
+        }
+    }
+    
+    // Sample the surface under each wheel and update the car's per-axle grip.
+    // Wheels order: front left, front right, rear left, rear right.
+    updateSurfaceContact(car, city) {
+        if (!car.mesh || !city.surfaces || car.isAirborne) return;
+        
+        const heading = car.mesh.rotation.y;
+        const forward = new THREE.Vector3(-Math.sin(heading), 0, -Math.cos(heading));
+        const left = new THREE.Vector3(-Math.cos(heading), 0, Math.sin(heading));
+        
+        const offsets = [
+            [car.tires.cgToFront, car.collisionHalfWidth],
+            [car.tires.cgToFront, -car.collisionHalfWidth],
+            [-car.tires.cgToRear, car.collisionHalfWidth],
+            [-car.tires.cgToRear, -car.collisionHalfWidth]
+        ];
+        
+        car.wheelSurfaces = offsets.map(([along, across]) => {
+            const wheelPosition = car.mesh.position.clone()
+                .addScaledVector(forward, along)
+                .addScaledVector(left, across);
+            const ground = this.sampleGround(wheelPosition, city);
+            return getSurfaceType(ground ? ground.object.userData.surface : null);
+        });
+        
+        const [frontLeft, frontRight, rearLeft, rearRight] = car.wheelSurfaces;
+        car.frontSurfaceGrip = (frontLeft.grip + frontRight.grip) / 2;
+        car.rearSurfaceGrip = (rearLeft.grip + rearRight.grip) / 2;
+        car.surfaceRollingResistance = car.wheelSurfaces.reduce((sum, s) => sum + s.rollingResistance, 0) / 4;
+    }
+    
+    // Ground under the end of the car that's leading the way
+    sampleLeadingEdge(car, city) {
+        const motion = new THREE.Vector3(car.velocityVector.x, 0, car.velocityVector.z);
+        if (motion.lengthSq() < 1e-6) return null;
+        
+        const probe = car.mesh.position.clone().addScaledVector(motion.normalize(), car.collisionHalfLength);
+        return this.sampleGround(probe, city);
+    }
+    
+    launchCar(car) {
+        car.isAirborne = true;
+        car.airTime = 0;
+        
+        document.dispatchEvent(new CustomEvent('carAirborne', {
+            detail: {
+                position: car.mesh.position.clone(),
+                launchSpeed: car.velocityVector.length(),
+                verticalVelocity: car.verticalVelocity
+            }
+        }));
+    }
+    
+    landCar(car, groundHeight) {
+        const impactSpeed = Math.max(0, -car.verticalVelocity);
+        
+        car.mesh.position.y = groundHeight;
+        car.isAirborne = false;
+        car.verticalVelocity = 0;
+        car.suspensionCompression = Math.min(1, impactSpeed / this.hardLandingSpeed);
+        
+        // Landing quality - soft touchdowns pointing where the car is going score best
+        const forward = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), car.mesh.rotation.y);
+        const horizontalSpeed = car.velocityVector.length();
+        const alignment = horizontalSpeed > 1
+            ? Math.abs(forward.dot(car.velocityVector) / horizontalSpeed)
+            : 1;
+        const softness = 1 - Math.min(1, impactSpeed / (this.hardLandingSpeed * 1.5));
+        const quality = alignment * 0.6 + softness * 0.4;
+        
+        let rating;
+        if (quality > 0.85) {
+            rating = 'PERFECT';
+        } else if (quality > 0.6) {
+            rating = 'GOOD';
+        } else {
+            rating = 'HARD';
+        }
+        
+        document.dispatchEvent(new CustomEvent('carLanded', {
+            detail: {
+                airTime: car.airTime,
+                impactSpeed: impactSpeed,
+                quality: quality,
+                rating: rating,
+                position: car.mesh.position.clone()
+            }
+        }));
+        
+        car.onLanded(impactSpeed, quality);
+    }
+    
+    // The car drove into a face too tall to climb - put it back and bounce off
+    handleStepCollision(car, ground) {
+        const motion = car.mesh.position.clone().sub(car.previousPosition);
+        motion.y = 0;
+        
+        car.mesh.position.x = car.previousPosition.x;
+        car.mesh.position.z = car.previousPosition.z;
+        
+        if (motion.lengthSq() < 1e-8) return;
+        
+        this.handleCollision(car, {
+            normal: motion.normalize().negate(),
+            depth: 0,
+            object: ground ? ground.object : null
+        });
     }
     
     applyFriction(car, deltaTime, isDrifting) {
@@ -76,55 +557,118 @@ export class Physics {
                 const forwardBoost = 0.25 * deltaTime * car.velocity;
                 car.velocity = Math.min(car.velocity + forwardBoost, car.maxSpeed);
             }
+        } else if (car.isTireModelActive) {
+            // Gripping under the tire model - drag and rolling resistance are already in car.velocity
+            frictionFactor = 1;
         } else {
             // Regular friction when not drifting
             frictionFactor = this.friction;
         }
         
         // Apply the appropriate friction to the velocity vector
-        car.velocityVector.multiplyScalar(frictionFactor);
+        // Friction factors are tuned per 60fps frame, so scale them to the step length
+        car.velocityVector.multiplyScalar(Math.pow(frictionFactor, deltaTime * 60));
+        
+        // Loose surfaces like gravel drag the car down even under power
+        const surfaceDrag = Math.max(0, car.surfaceRollingResistance - 1) * this.surfaceDragRate * deltaTime;
+        if (surfaceDrag > 0 && !car.isAirborne) {
+            const dragFactor = Math.max(0, 1 - surfaceDrag);
+            car.velocity *= dragFactor;
+            car.velocityVector.multiplyScalar(dragFactor);
+        }
     }
     
-    // Calculate physics for drifting - simplified version
+    // Calculate physics for drifting using a per-axle slip-angle tire model.
+    // Integrates car.velocityVector, car.yawRate and car.mesh.rotation.y.
     calculateDrift(car, steeringAngle, isDrifting, deltaTime) {
-        if (isDrifting) {
-            // Get car's orientation directions
-            const carForwardDir = new THREE.Vector3(0, 0, -1).applyQuaternion(car.mesh.quaternion);
-            const carRightDir = new THREE.Vector3(1, 0, 0).applyQuaternion(car.mesh.quaternion);
-            
-            // Simplify the drift calculation - apply a basic sideways force based on steering
-            // Maintain more of the forward momentum regardless of turning
-            
-            // Calculate basic sideways force proportional to steering input and speed
-            const lateralForce = carRightDir.clone().multiplyScalar(
-                steeringAngle * 3.0 * Math.abs(car.velocity) * 0.04 * deltaTime
-            );
-            
-            // Apply strong forward force to maintain momentum in car's forward direction
-            const forwardForce = carForwardDir.clone().multiplyScalar(
-                Math.abs(car.velocity) * 0.2 * deltaTime
-            );
-            
-            // Apply forces to velocity vector
-            car.velocityVector.add(lateralForce);
-            car.velocityVector.add(forwardForce);
-            
-            // Limit the angle between car direction and velocity to prevent spinning
-            const velocityDir = car.velocityVector.clone().normalize();
-            const currentAngle = Math.acos(velocityDir.dot(carForwardDir));
-            
-            // If the angle is too large, gently nudge velocity back toward car direction
-            if (currentAngle > Math.PI * 0.35) {
-                const correction = carForwardDir.clone().multiplyScalar(
-                    0.1 * deltaTime * Math.abs(car.velocity)
-                );
-                car.velocityVector.add(correction);
-            }
-            
-            // Return drift intensity for visual effects
-            return Math.abs(steeringAngle) * 3.0;
+        if (!isDrifting) return 0;
+        
+        // Sub-step the tire forces - they are too stiff for a single large step
+        const steps = Math.max(1, Math.ceil(deltaTime / this.tireSubstep));
+        const stepTime = deltaTime / steps;
+        
+        // Longitudinal force comes from the engine/brake change applied this update
+        const longitudinalAccel = car.longitudinalAccel || 0;
+        
+        for (let i = 0; i < steps; i++) {
+            this.integrateTireForces(car, steeringAngle, longitudinalAccel, stepTime);
+        }
+        
+        // Return drift intensity for visual effects, driven by how hard the rear is sliding
+        return Math.min(3.0, Math.abs(car.rearSlipAngle) * 6.0);
+    }
+    
+    integrateTireForces(car, steeringAngle, longitudinalAccel, deltaTime) {
+        const tires = car.tires;
+        const mass = car.weight;
+        const a = tires.cgToFront;
+        const b = tires.cgToRear;
+        const wheelbase = a + b;
+        const yawInertia = mass * a * b * tires.yawInertiaFactor;
+        
+        // Car axes in world space (forward is -Z, left is -X at zero rotation)
+        const heading = car.mesh.rotation.y;
+        const forward = new THREE.Vector3(-Math.sin(heading), 0, -Math.cos(heading));
+        const left = new THREE.Vector3(-Math.cos(heading), 0, Math.sin(heading));
+        
+        // Velocity in the car's frame
+        const vx = car.velocityVector.dot(forward);
+        const vy = car.velocityVector.dot(left);
+        const speedX = Math.max(Math.abs(vx), tires.minSlipSpeed);
+        const direction = vx < 0 ? -1 : 1;
+        
+        // Front wheel angle from the steering input, plus optional counter-steer assist
+        // that turns the wheels toward the direction of travel
+        const bodySlip = Math.atan2(vy, speedX);
+        const wheelAngle = THREE.MathUtils.clamp(
+            steeringAngle * tires.maxSteerAngle * direction + bodySlip * tires.counterSteerAssist,
+            -tires.maxCounterSteerAngle,
+            tires.maxCounterSteerAngle
+        );
+        car.frontWheelAngle = wheelAngle * direction; // Steering is mirrored above for reversing
+        
+        // Slip angles at each axle
+        car.frontSlipAngle = Math.atan2(vy + car.yawRate * a, speedX) - wheelAngle;
+        car.rearSlipAngle = Math.atan2(vy - car.yawRate * b, speedX);
+        
+        // Static axle loads
+        const frontLoad = mass * this.gravity * (b / wheelbase);
+        const rearLoad = mass * this.gravity * (a / wheelbase);
+        
+        // Rear grip is reduced by the drift button, handbrake, clutch kicks and rear brake bias,
+        // and shared with drive force under throttle
+        let rearGripScale = car.getRearGripScale();
+        if (car.isAccelerating && vx > 0) {
+            const throttleUse = Math.min(0.95, tires.throttleBreakaway);
+            rearGripScale *= Math.sqrt(1 - throttleUse * throttleUse);
+        }
+        
+        // The surface under each axle scales what the tires can hold
+        const frontForce = this.lateralTireForce(car.frontSlipAngle, tires.front, frontLoad * car.getFrontGripScale() * car.frontSurfaceGrip);
+        const rearForce = this.lateralTireForce(car.rearSlipAngle, tires.rear, rearLoad * rearGripScale * car.rearSurfaceGrip);
+        
+        // Brakes and resistance slow the car down - when it has spun round and slides
+        // backwards they must still act against the slide rather than along the nose
+        let driveAccel = longitudinalAccel;
+        if (longitudinalAccel * car.velocity < 0 && vx * car.velocity < 0) {
+            driveAccel = -longitudinalAccel;
         }
         
-        return 0;
+        // Forces in the car frame
+        const forceX = mass * driveAccel - frontForce * Math.sin(wheelAngle);
+        const forceY = frontForce * Math.cos(wheelAngle) + rearForce;
+        const yawTorque = a * frontForce * Math.cos(wheelAngle) - b * rearForce;
+        
+        // Integrate linear and angular velocity
+        car.velocityVector.addScaledVector(forward, (forceX / mass) * deltaTime);
+        car.velocityVector.addScaledVector(left, (forceY / mass) * deltaTime);
+        car.yawRate += (yawTorque / yawInertia) * deltaTime;
+        car.mesh.rotation.y += car.yawRate * deltaTime;
+    }
+    
+    // Lateral force curve with a grip peak and a partial fall-off past saturation
+    lateralTireForce(slipAngle, axle, load) {
+        const peakForce = axle.grip * load;
+        return -peakForce * Math.sin(axle.shape * Math.atan(axle.stiffness * slipAngle));
     }
 } 
\ No newline at end of file
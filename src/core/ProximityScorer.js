@@ -0,0 +1,86 @@
+// Near-miss bonuses for drifting with the car body close to a wall or cone (City.colliders)
+// without touching it. Each stretch held inside the band pays out, and every payout in the same
+// run of close calls is worth more than the last.
+export class ProximityScorer {
+    constructor(city, physics) {
+        this.city = city;
+        this.physics = physics;
+        
+        this.meterRange = 4.0; // Gaps beyond this read as nothing nearby on the meter
+        this.bandDistance = 1.2; // Gap that counts as close
+        this.tightDistance = 0.3; // Gap that earns double points
+        this.levelInterval = 0.6; // Seconds inside the band for each payout
+        this.graceTime = 0.25; // Seconds the car can drift out of the band before the run ends
+        this.basePoints = 40; // First payout of a run at the band edge
+        this.maxLevel = 5;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.clearance = Infinity; // Gap to the nearest collider within meterRange
+        this.run = null; // { level, heldTime, closest, outsideTime } while close calls are chaining
+    }
+    
+    // 0 with nothing nearby, 1 touching - for the HUD meter
+    getCloseness() {
+        return Math.max(0, 1 - this.clearance / this.meterRange);
+    }
+    
+    isInBand() {
+        return this.clearance <= this.bandDistance;
+    }
+    
+    // Measure the gap and check one simulation step. touched is whether the car hit a collider this
+    // step. Returns the close calls paid out as { type: 'proximity', label, points, level, distance, position }.
+    update(car, deltaTime, touched) {
+        const nearest = this.physics.measureClearance(car, this.city.colliders, this.meterRange);
+        this.clearance = nearest ? nearest.distance : Infinity;
+        
+        // Touching or straightening up throws away the stretch in progress and the run
+        const isSideways = car.isDrifting && car.getScoringAngle() >= car.driftScoreMinAngle;
+        if (touched || !isSideways) {
+            this.run = null;
+            return [];
+        }
+        
+        if (!this.isInBand()) {
+            if (this.run) {
+                this.run.outsideTime += deltaTime;
+                if (this.run.outsideTime > this.graceTime) {
+                    this.run = null;
+                }
+            }
+            return [];
+        }
+        
+        if (!this.run) {
+            this.run = { level: 0, heldTime: 0, closest: Infinity, outsideTime: 0 };
+        }
+        
+        const run = this.run;
+        run.outsideTime = 0;
+        run.heldTime += deltaTime;
+        run.closest = Math.min(run.closest, this.clearance);
+        if (run.heldTime < this.levelInterval) return [];
+        
+        run.level = Math.min(this.maxLevel, run.level + 1);
+        const hit = {
+            type: 'proximity',
+            label: run.level > 1 ? `CLOSE CALL x${run.level}` : 'CLOSE CALL',
+            points: this.getPoints(run.level, run.closest),
+            level: run.level,
+            distance: run.closest,
+            position: car.mesh.position.clone()
+        };
+        run.heldTime = 0;
+        run.closest = Infinity;
+        return [hit];
+    }
+    
+    // Base points times the run level, up to double for the tightest gap, rounded to tens
+    getPoints(level, distance) {
+        const closeness = Math.min(1, Math.max(0, (this.bandDistance - distance) / (this.bandDistance - this.tightDistance)));
+        return Math.round(this.basePoints * level * (1 + closeness) / 10) * 10;
+    }
+} 
\ No newline at end of file
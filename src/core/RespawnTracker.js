@@ -0,0 +1,89 @@
+// Safe spots to put the car back on after a heavy crash, after leaving the arena or on the reset
+// key. While the car drives cleanly - on the ground, on grippy surface and clear of walls and cones -
+// it leaves a marker every so often, facing the way it was travelling. Driving through a checkpoint
+// gate leaves one facing along the circuit. The car goes back to the newest marker old enough that
+// it wasn't already heading for trouble there, or to the starting grid if there isn't one yet.
+export class RespawnTracker {
+    constructor(city, physics) {
+        this.city = city;
+        this.physics = physics;
+        
+        this.sampleInterval = 0.5; // Seconds between markers
+        this.minAge = 1.0; // Seconds a marker has to be laid before the trouble started to be used
+        this.minClearance = 3; // Gap to the nearest collider for a marker
+        this.minGrip = 0.85; // No markers on gravel or ice
+        this.maxMarkers = 8;
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.markers = []; // { position, rotation, time }, oldest first
+        this.time = 0;
+        this.sampleTimer = 0;
+        this.troubleTime = null; // When the car crashed, until it's put back
+    }
+    
+    // Once per simulation step
+    update(car, deltaTime) {
+        this.time += deltaTime;
+        this.sampleTimer += deltaTime;
+        if (car.isCollided && this.troubleTime === null) {
+            this.troubleTime = this.time;
+        }
+        if (this.sampleTimer < this.sampleInterval) return;
+        
+        this.sampleTimer = 0;
+        if (this.isSafe(car)) {
+            this.addMarker(car.mesh.position, this.getTravelRotation(car));
+        }
+    }
+    
+    // The car is on a checkpoint gate, driving through it the right way
+    addCheckpoint(car, checkpoint) {
+        if (this.isSafe(car)) {
+            this.addMarker(car.mesh.position, checkpoint.rotation);
+        }
+    }
+    
+    isSafe(car) {
+        if (car.isAirborne || car.isCollided || car.isWrecked) return false;
+        if (!this.city.isInBounds(car.mesh.position)) return false;
+        if (car.wheelSurfaces.some(surface => surface.grip < this.minGrip)) return false;
+        return !this.physics.measureClearance(car, this.city.colliders, this.minClearance);
+    }
+    
+    // Heading the car is moving along, in its own rotation convention, or the way it faces when nearly stopped
+    getTravelRotation(car) {
+        const velocity = car.velocityVector;
+        if (velocity.lengthSq() < 1) return car.mesh.rotation.y;
+        return Math.atan2(-velocity.x, -velocity.z);
+    }
+    
+    addMarker(position, rotation) {
+        this.markers.push({ position: position.clone(), rotation, time: this.time });
+        if (this.markers.length > this.maxMarkers) {
+            this.markers.shift();
+        }
+    }
+    
+    // Where the car goes back to, as { position, rotation }. Markers newer than that one were laid
+    // on the way into trouble, so they're dropped.
+    takeRespawnPoint() {
+        const troubleTime = this.troubleTime === null ? this.time : this.troubleTime;
+        this.troubleTime = null;
+        
+        for (let i = this.markers.length - 1; i >= 0; i--) {
+            if (troubleTime - this.markers[i].time >= this.minAge) {
+                this.markers.length = i + 1;
+                return this.markers[i];
+            }
+        }
+        
+        if (this.markers.length > 0) {
+            this.markers.length = 1;
+            return this.markers[0];
+        }
+        return this.city.getStartingSlot();
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,165 @@
+// The one place the score is kept. The car and the zone judge report scoring events here; the
+// engine applies the drift chain multiplier, keeps the total and logs every event in order, so
+// the HUD, results screen and leaderboard all read the same numbers.
+//
+// Log entries are { type, time, points, breakdown } where time is seconds into the run and type is
+// one of 'drift', 'spin', 'clip', 'zone', 'proximity', 'lap', 'crash', 'penalty' or a trick (see TRICKS).
+export class ScoreEngine {
+    constructor() {
+        // Chain multiplier - builds while drifting, resets after a break or a crash.
+        // Only drifts are multiplied; bonuses and penalties count as they are.
+        this.maxChainMultiplier = 8;
+        this.chainGrowth = 0.5; // Multiplier gained per second of drifting
+        this.chainTimeout = 1.5; // Seconds without drifting before the chain resets
+        this.liveUpdateInterval = 0.5; // Seconds between HUD updates during a drift
+        
+        this.isScoring = false;
+        this.reset();
+    }
+    
+    // Clear the score for a new run
+    reset() {
+        this.total = 0;
+        this.chainMultiplier = 1;
+        this.chainTimer = 0;
+        this.drift = null; // { points, startTime, maxAngle, maxMultiplier, updates } while drifting
+        this.log = [];
+        this.time = 0;
+        this.notify();
+    }
+    
+    start() {
+        this.isScoring = true;
+    }
+    
+    // End of the run - a drift still going is not banked
+    stop() {
+        this.isScoring = false;
+        this.drift = null;
+        this.notify();
+    }
+    
+    // Run clock and chain multiplier, once per simulation step
+    update(deltaTime, isDrifting) {
+        if (!this.isScoring) return;
+        
+        this.time += deltaTime;
+        const previousMultiplier = this.chainMultiplier;
+        
+        if (isDrifting) {
+            this.chainTimer = 0;
+            this.chainMultiplier = Math.min(this.maxChainMultiplier, this.chainMultiplier + this.chainGrowth * deltaTime);
+        } else {
+            this.chainTimer += deltaTime;
+            if (this.chainTimer >= this.chainTimeout) {
+                this.chainMultiplier = 1;
+            }
+        }
+        
+        // Every half step of the multiplier (x1.5, x2, x2.5...) is worth showing straight away
+        if (Math.floor(this.chainMultiplier * 2) !== Math.floor(previousMultiplier * 2)) {
+            this.notify();
+        }
+    }
+    
+    beginDrift() {
+        if (!this.isScoring) return;
+        
+        this.drift = { points: 0, startTime: this.time, maxAngle: 0, maxMultiplier: 1, updates: 0 };
+    }
+    
+    // Points earned this step of the current drift, with the angle (radians) and the car's
+    // angle multiplier they were earned at
+    addDriftPoints(points, angle, multiplier) {
+        if (!this.drift) return;
+        
+        const drift = this.drift;
+        drift.points += points;
+        drift.maxAngle = Math.max(drift.maxAngle, angle);
+        drift.maxMultiplier = Math.max(drift.maxMultiplier, multiplier);
+        
+        // Updates sent so far this drift, one per interval
+        const interval = Math.floor((this.time - drift.startTime) / this.liveUpdateInterval);
+        if (interval !== drift.updates) {
+            drift.updates = interval;
+            this.notify();
+        }
+    }
+    
+    // Points in the current drift before the chain multiplier
+    getDriftPoints() {
+        return this.drift ? Math.floor(this.drift.points) : 0;
+    }
+    
+    // Bank the current drift. Returns its log entry, or null if there was nothing to bank.
+    endDrift() {
+        if (!this.drift) return null;
+        
+        const drift = this.drift;
+        const driftPoints = Math.floor(drift.points);
+        this.drift = null;
+        
+        return this.addEvent('drift', Math.floor(driftPoints * this.chainMultiplier), {
+            driftPoints: driftPoints,
+            chainMultiplier: Math.round(this.chainMultiplier * 10) / 10,
+            duration: Math.round((this.time - drift.startTime) * 100) / 100,
+            maxAngle: Math.round(drift.maxAngle * 180 / Math.PI),
+            maxMultiplier: Math.round(drift.maxMultiplier * 10) / 10
+        });
+    }
+    
+    // Forget the current drift without banking or logging it
+    cancelDrift() {
+        this.drift = null;
+        this.notify();
+    }
+    
+    // A crash throws away the current drift and the chain. Returns the drift points lost.
+    crash() {
+        const lostPoints = this.getDriftPoints();
+        this.drift = null;
+        this.chainMultiplier = 1;
+        this.chainTimer = 0;
+        
+        this.addEvent('crash', 0, { lostPoints });
+        return lostPoints;
+    }
+    
+    // Log an event and bank its points as they are. Returns the log entry, or null outside a run.
+    addEvent(type, points, breakdown = {}) {
+        if (!this.isScoring) return null;
+        
+        const entry = { type, time: Math.round(this.time * 100) / 100, points, breakdown };
+        this.log.push(entry);
+        this.total += points;
+        this.notify();
+        return entry;
+    }
+    
+    // Total including what the current drift would bank right now
+    getLiveScore() {
+        return this.total + Math.floor(this.getDriftPoints() * this.chainMultiplier);
+    }
+    
+    // Count and points per event type, for the results screen
+    getSummary() {
+        const summary = {};
+        this.log.forEach(entry => {
+            const line = summary[entry.type] || (summary[entry.type] = { count: 0, points: 0 });
+            line.count++;
+            line.points += entry.points;
+        });
+        return summary;
+    }
+    
+    notify() {
+        document.dispatchEvent(new CustomEvent('scoreUpdate', {
+            detail: {
+                score: this.getLiveScore(),
+                total: this.total,
+                drift: this.getLiveScore() - this.total,
+                multiplier: this.chainMultiplier
+            }
+        }));
+    }
+} 
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Surface materials the car can drive on. City meshes name one of these in userData.surface.
+//   grip              - scales tire grip, traction and braking (1 = dry asphalt)
+//   rollingResistance - scales rolling resistance; above 1 also drags the car down under power
+//   smokeColor        - tire smoke / dust color
+//   skidColor         - skid mark color
+//   skidOpacity       - starting opacity of skid marks
+//   tireSmoke         - smoke is burnt rubber, so it takes the car's tire smoke color instead of smokeColor
+//   tintedSkids       - skid marks take the car's tire smoke color instead of skidColor
+export const SURFACE_TYPES = {
+    asphalt: {
+        name: 'asphalt',
+        grip: 1.0,
+        rollingResistance: 1.0,
+        smokeColor: 0xffffff,
+        skidColor: 0xffffff,
+        skidOpacity: 0.8,
+        tireSmoke: true,
+        tintedSkids: true
+    },
+    paint: {
+        name: 'paint',
+        grip: 0.85,
+        rollingResistance: 1.0,
+        smokeColor: 0xffffff,
+        skidColor: 0x222222,
+        skidOpacity: 0.6,
+        tireSmoke: true,
+        tintedSkids: false
+    },
+    gravel: {
+        name: 'gravel',
+        grip: 0.6,
+        rollingResistance: 6.0,
+        smokeColor: 0xb09a72,
+        skidColor: 0x5a4630,
+        skidOpacity: 0.9,
+        tireSmoke: false,
+        tintedSkids: false
+    },
+    ice: {
+        name: 'ice',
+        grip: 0.25,
+        rollingResistance: 0.5,
+        smokeColor: 0xe8f6ff,
+        skidColor: 0xcfe8ff,
+        skidOpacity: 0.3,
+        tireSmoke: false,
+        tintedSkids: false
+    }
+};
+
+export const DEFAULT_SURFACE = 'asphalt';
+
+// Look up a surface type by name, falling back to asphalt for untagged meshes
+export function getSurfaceType(name) {
+    return SURFACE_TYPES[name] || SURFACE_TYPES[DEFAULT_SURFACE];
+} 
\ No newline at end of file
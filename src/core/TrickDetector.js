@@ -0,0 +1,178 @@
+// Named maneuvers recognised from the car's trajectory, each worth its own bonus
+export const TRICKS = {
+    donut: { label: 'DONUT', points: 300 }, // A full drifting turn around a circle marker
+    transition: { label: 'TRANSITION', points: 200 }, // Flicking the drift from one side to the other
+    figureEight: { label: 'FIGURE EIGHT', points: 500 }, // A lap around both loops of a figure-8
+    reverseEntry: { label: 'REVERSE ENTRY', points: 250 }, // Swinging past 90 degrees into a drift and holding it
+    gridRun: { label: 'GRID RUN', points: 200 } // One long drift right across the starting grid
+};
+
+// Watches the car against the track's circle markers, figure-8s and starting grid
+// (see City.circleMarkers, City.figureEights and City.startingGrid)
+export class TrickDetector {
+    constructor(city) {
+        this.city = city;
+        
+        this.transitionAngle = 20 * Math.PI / 180; // Drift angle that counts as committed to a side
+        this.transitionWindow = 1.5; // Seconds to get from one side to the other
+        this.reverseEntryAngle = 100 * Math.PI / 180; // Angle the car must swing past on entry
+        this.reverseEntryWindow = 1.5; // Seconds after the drift starts to swing past it
+        this.reverseEntryHold = 1.0; // Seconds of high-angle drift needed afterwards
+        this.figureEightCompletion = 0.9; // Share of a full turn around each loop that makes a lap
+        this.gridRunMinDuration = 2.0; // Seconds the drift must have lasted when leaving the grid
+        
+        this.reset();
+    }
+    
+    reset() {
+        this.time = 0;
+        this.donuts = new Map(); // Circle marker -> { angle, swept } while drifting around it
+        this.figureEightLaps = new Map(); // Figure-8 -> { angles, swept } while on it
+        this.lastSide = 0; // Side of the last committed drift angle, for transitions
+        this.lastSideTime = -Infinity;
+        this.drift = null; // { startTime, swungPast, holdTime, scored } for reverse entries
+        this.gridEntry = null; // Where a drift crossed onto the starting grid
+        this.wasOnGrid = false;
+    }
+    
+    // Check one simulation step. Returns the tricks completed as { type, label, points, position }.
+    update(car, deltaTime) {
+        this.time += deltaTime;
+        
+        const hits = [];
+        const found = (type) => hits.push({ type, ...TRICKS[type], position: car.mesh.position.clone() });
+        const x = car.mesh.position.x;
+        const z = car.mesh.position.z;
+        
+        this.updateDonuts(car, x, z, found);
+        this.updateFigureEights(x, z, found);
+        this.updateTransition(car, found);
+        this.updateReverseEntry(car, deltaTime, found);
+        this.updateGridRun(car, x, z, found);
+        
+        return hits;
+    }
+    
+    updateDonuts(car, x, z, found) {
+        this.city.circleMarkers.forEach(marker => {
+            const distance = Math.hypot(x - marker.position.x, z - marker.position.y);
+            if (!car.isDrifting || distance > marker.radius) {
+                this.donuts.delete(marker);
+                return;
+            }
+            
+            const angle = angleAround(marker.position, x, z);
+            const donut = this.donuts.get(marker);
+            if (!donut) {
+                this.donuts.set(marker, { angle, swept: 0 });
+                return;
+            }
+            
+            donut.swept += wrapAngle(angle - donut.angle);
+            donut.angle = angle;
+            if (Math.abs(donut.swept) >= Math.PI * 2) {
+                found('donut');
+                donut.swept = 0;
+            }
+        });
+    }
+    
+    // A lap goes around one loop one way and the other loop the other way. Only the turn around
+    // the nearer loop counts, so crossing the middle doesn't add to the far one.
+    updateFigureEights(x, z, found) {
+        this.city.figureEights.forEach(figure => {
+            const distances = figure.centers.map(center => Math.hypot(x - center.x, z - center.y));
+            if (Math.min(...distances) > figure.radius + 5) {
+                this.figureEightLaps.delete(figure);
+                return;
+            }
+            
+            const angles = figure.centers.map(center => angleAround(center, x, z));
+            const lap = this.figureEightLaps.get(figure);
+            if (!lap) {
+                this.figureEightLaps.set(figure, { angles, swept: [0, 0] });
+                return;
+            }
+            
+            const nearest = distances[0] <= distances[1] ? 0 : 1;
+            lap.swept[nearest] += wrapAngle(angles[nearest] - lap.angles[nearest]);
+            lap.angles = angles;
+            
+            const fullTurn = Math.PI * 2 * this.figureEightCompletion;
+            const [first, second] = lap.swept;
+            if (Math.abs(first) >= fullTurn && Math.abs(second) >= fullTurn && Math.sign(first) !== Math.sign(second)) {
+                found('figureEight');
+                lap.swept = [0, 0];
+            }
+        });
+    }
+    
+    updateTransition(car, found) {
+        const angle = car.driftAngle;
+        if (!car.isDrifting || Math.abs(angle) < this.transitionAngle || Math.abs(angle) > Math.PI / 2) return;
+        
+        const side = Math.sign(angle);
+        if (side === -this.lastSide && this.time - this.lastSideTime <= this.transitionWindow) {
+            found('transition');
+        }
+        this.lastSide = side;
+        this.lastSideTime = this.time;
+    }
+    
+    updateReverseEntry(car, deltaTime, found) {
+        if (!car.isDrifting) {
+            this.drift = null;
+            return;
+        }
+        
+        if (!this.drift) {
+            this.drift = { startTime: this.time, swungPast: false, holdTime: 0, scored: false };
+        }
+        
+        const drift = this.drift;
+        if (Math.abs(car.driftAngle) >= this.reverseEntryAngle && this.time - drift.startTime <= this.reverseEntryWindow) {
+            drift.swungPast = true;
+        }
+        
+        // Then caught and held at a proper drift angle
+        if (drift.swungPast && !drift.scored && car.getScoringAngle() >= car.driftHighAngle) {
+            drift.holdTime += deltaTime;
+            if (drift.holdTime >= this.reverseEntryHold) {
+                found('reverseEntry');
+                drift.scored = true;
+            }
+        }
+    }
+    
+    // The drift has to carry onto the grid, across it and off again
+    updateGridRun(car, x, z, found) {
+        const grid = this.city.startingGrid;
+        if (!grid) return;
+        
+        const isOnGrid = Math.abs(x - grid.position.x) <= grid.width / 2 && Math.abs(z - grid.position.y) <= grid.length / 2;
+        
+        if (isOnGrid && !this.wasOnGrid) {
+            this.gridEntry = car.isDrifting ? { x, z } : null;
+        } else if (isOnGrid && !car.isDrifting) {
+            this.gridEntry = null;
+        } else if (!isOnGrid && this.wasOnGrid && this.gridEntry && car.isDrifting && this.drift) {
+            const crossed = Math.hypot(x - this.gridEntry.x, z - this.gridEntry.z) >= Math.min(grid.width, grid.length);
+            if (crossed && this.time - this.drift.startTime >= this.gridRunMinDuration) {
+                found('gridRun');
+            }
+            this.gridEntry = null;
+        }
+        
+        this.wasOnGrid = isOnGrid;
+    }
+}
+
+// Angle of a point around a center on the ground plane
+function angleAround(center, x, z) {
+    return Math.atan2(z - center.y, x - center.x);
+}
+
+// Shortest signed difference for an angle change
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+} 
\ No newline at end of file
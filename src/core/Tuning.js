@@ -0,0 +1,48 @@
+// Car setup the player can tune. Values are relative to the vehicle definition, so the
+// default setup drives exactly like the stock car.
+//   steeringLock     - % of the stock front wheel lock
+//   rearGripBias     - % of grip moved from the front tires to the rear (negative loosens the rear)
+//   differentialLock - 0 open, 100 locked. Tighter diffs break the rear loose under power
+//   nitroStrength    - % of stock boost. Stronger boost also drains the tank faster
+//   brakeBias        - % of braking on the front axle. Forward bias pushes wide, rearward bias rotates
+export const TUNING_PARAMETERS = [
+    { key: 'steeringLock', label: 'Steering lock', min: 70, max: 130, step: 5, unit: '%' },
+    { key: 'rearGripBias', label: 'Rear grip bias', min: -20, max: 20, step: 1, unit: '%' },
+    { key: 'differentialLock', label: 'Differential lock', min: 0, max: 100, step: 5, unit: '%' },
+    { key: 'nitroStrength', label: 'Nitro strength', min: 50, max: 150, step: 5, unit: '%' },
+    { key: 'brakeBias', label: 'Brake bias (front)', min: 40, max: 80, step: 1, unit: '%' }
+];
+
+export const DEFAULT_TUNING = {
+    steeringLock: 100,
+    rearGripBias: 0,
+    differentialLock: 50,
+    nitroStrength: 100,
+    brakeBias: 60
+};
+
+// Fill in missing values and keep everything inside its slider range
+export function normalizeTuning(setup) {
+    const tuning = { ...DEFAULT_TUNING };
+    
+    TUNING_PARAMETERS.forEach(({ key, min, max }) => {
+        const value = setup ? setup[key] : undefined;
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            tuning[key] = Math.min(max, Math.max(min, value));
+        }
+    });
+    
+    return tuning;
+}
+
+// Short summary for the leaderboard, e.g. "LOCK 110 BIAS -5 DIFF 80 N2O 100 BRK 55"
+export function describeTuning(setup) {
+    const tuning = normalizeTuning(setup);
+    return [
+        `LOCK ${tuning.steeringLock}`,
+        `BIAS ${tuning.rearGripBias}`,
+        `DIFF ${tuning.differentialLock}`,
+        `N2O ${tuning.nitroStrength}`,
+        `BRK ${tuning.brakeBias}`
+    ].join(' ');
+} 
\ No newline at end of file
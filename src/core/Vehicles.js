@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+
+// Vehicle definitions - everything that makes one car drive and look different from another.
+// Definitions are plain JSON (see public/vehicles/) merged over DEFAULT_VEHICLE, so a file only
+// needs the values it changes.
+//   handling   - speed, turning, mass and resistance numbers used by Car
+//   tires      - tire model parameters used by Physics.calculateDrift
+//   drivetrain - Drivetrain options (torque, gear ratios, rev limits)
+//   nitro      - tank size, boost strength and how fast it drains / refills
+//   collision  - half extents of the oriented collision box (metres)
+//   model      - GLB url plus the transform that makes it face -z and sit on the ground
+//                (scale, rotation in degrees, position)
+//   exhausts   - flame positions in car space; empty searches the model for exhaust/pipe nodes
+//   lights     - model node names to use as lamps: brake, head and reverse. Brake and reverse lamps
+//                fall back to simple boxes, and the headlight beams to the front of the body
+//   paint      - model node names the player can repaint: body panels and wheel rims
+//   wheels     - name prefixes of the front and rear wheel nodes, which spin and steer; without
+//                them the model moves as one piece
+// exhausts, lights, paint and wheels describe one particular model, so they are never inherited from the default.
+export const DEFAULT_VEHICLE = {
+    id: 'mono',
+    name: 'Mono',
+    description: 'Balanced rear-drive drifter',
+    handling: {
+        maxSpeed: 25,
+        acceleration: 15,
+        deceleration: 20,
+        turnSpeed: 4.0,
+        driftTurnMultiplier: 2.2,
+        weight: 1500, // kg
+        enginePower: 800, // Reverse drive strength
+        brakeForce: 100,
+        rollingResistance: 0.015,
+        dragCoefficient: 0.3,
+        engineBrakingFactor: 0.55
+    },
+    tires: {
+        cgToFront: 1.2, // Distance from center of mass to front axle
+        cgToRear: 1.2, // Distance from center of mass to rear axle
+        yawInertiaFactor: 1.0, // Scales the yaw inertia (mass * a * b)
+        maxSteerAngle: 0.6, // Front wheel angle at full lock (radians)
+        maxCounterSteerAngle: 1.0, // Wheel angle limit including counter-steer
+        counterSteerAssist: 0.9, // 0 = fully manual counter-steer, 1 = wheels follow the slide
+        minSlipSpeed: 1.0, // Avoids unstable slip angles at very low speed
+        front: { grip: 2.2, stiffness: 10, shape: 1.4 },
+        rear: { grip: 2.0, stiffness: 10, shape: 1.4 },
+        driftRearGrip: 0.8, // Rear grip scale while the drift button is held (classic controls)
+        throttleBreakaway: 0.5, // Share of rear grip taken by drive force on throttle
+        handbrakeRearGrip: 0.3, // Rear grip scale with the rear wheels locked
+        clutchKickRearGrip: 0.45 // Rear grip scale during a clutch kick
+    },
+    drivetrain: {},
+    nitro: {
+        capacity: 100,
+        boostFactor: 6, // Engine force multiplier while boosting
+        depletionRate: 30, // Per second
+        recoveryFromDrift: 4 // Per drift point
+    },
+    collision: {
+        halfWidth: 0.6,
+        halfLength: 1.2,
+        height: 1.2
+    },
+    model: {
+        url: '/models/car.glb',
+        scale: [0.01, 0.01, 0.01],
+        rotation: [0, 90, 0],
+        position: [0, 0.5, 0]
+    },
+    exhausts: [
+        [-0.4, 0.1, 1],
+        [0.4, 0.1, 1]
+    ],
+    lights: {
+        brake: ['Frame_Light_red_0'],
+        head: ['Frame_Light_0'],
+        reverse: []
+    },
+    paint: {
+        body: ['Frame_Orange_0'],
+        rims: [
+            'Front_wheel_Light_black_0',
+            'Front_wheel.001_Light_black_0',
+            'Rear_wheel_Light_black_0',
+            'Rear_wheel.001_Light_black_0'
+        ]
+    },
+    wheels: {
+        front: 'Front_wheel',
+        rear: 'Rear_wheel'
+    }
+};
+
+// Find the model nodes a definition names. GLTFLoader strips characters such as '.' from node names
+// ("Front_wheel.001" loads as "Front_wheel001"), so names can be written as they appear in the
+// modelling tool.
+export function findModelNodes(model, names) {
+    return names
+        .map(name => model.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(name)))
+        .filter(node => node);
+}
+
+// Merge a JSON definition over the defaults. Throws if it has no id.
+export function createVehicleDefinition(data) {
+    if (!data || typeof data.id !== 'string' || !data.id) {
+        throw new Error('Vehicle definition needs an id');
+    }
+    
+    const tires = { ...DEFAULT_VEHICLE.tires, ...data.tires };
+    tires.front = { ...DEFAULT_VEHICLE.tires.front, ...(data.tires && data.tires.front) };
+    tires.rear = { ...DEFAULT_VEHICLE.tires.rear, ...(data.tires && data.tires.rear) };
+    
+    return {
+        id: data.id,
+        name: data.name || data.id,
+        description: data.description || '',
+        handling: { ...DEFAULT_VEHICLE.handling, ...data.handling },
+        tires: tires,
+        drivetrain: { ...DEFAULT_VEHICLE.drivetrain, ...data.drivetrain },
+        nitro: { ...DEFAULT_VEHICLE.nitro, ...data.nitro },
+        collision: { ...DEFAULT_VEHICLE.collision, ...data.collision },
+        model: { ...DEFAULT_VEHICLE.model, ...data.model },
+        exhausts: data.exhausts || [],
+        lights: { brake: [], head: [], reverse: [], ...data.lights },
+        paint: { body: [], rims: [], ...data.paint },
+        wheels: { front: '', rear: '', ...data.wheels }
+    };
+} 
\ No newline at end of file
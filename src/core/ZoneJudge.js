@@ -0,0 +1,73 @@
+// Judges a run against the track's clipping points and outer zones (see City.addClipPoint and
+// City.addOuterZone). Only sideways passes count - the car has to be drifting at a scoring angle.
+export class ZoneJudge {
+    constructor(city) {
+        this.city = city;
+        
+        // Clip currently being passed -> closest sideways distance so far
+        this.clipPasses = new Map();
+        // Outer zones the car is inside, and whether this visit has scored yet
+        this.zoneVisits = new Map();
+    }
+    
+    reset() {
+        this.clipPasses.clear();
+        this.zoneVisits.clear();
+    }
+    
+    // Check the car against every clip and zone. Returns the hits scored this step as
+    // { type: 'clip' | 'zone', points, position }.
+    update(car) {
+        const hits = [];
+        const x = car.mesh.position.x;
+        const z = car.mesh.position.z;
+        const isSideways = car.isDrifting && car.getScoringAngle() >= car.driftScoreMinAngle;
+        
+        this.city.clipPoints.forEach(clip => {
+            const distance = Math.hypot(x - clip.position.x, z - clip.position.y);
+            const closest = this.clipPasses.get(clip);
+            
+            if (distance <= clip.radius) {
+                const best = closest === undefined ? Infinity : closest;
+                this.clipPasses.set(clip, isSideways ? Math.min(best, distance) : best);
+            } else if (closest !== undefined) {
+                // Scored once the car has gone past, on its closest sideways moment
+                this.clipPasses.delete(clip);
+                if (closest <= clip.radius) {
+                    hits.push({ type: 'clip', points: this.getClipPoints(clip, closest), position: car.mesh.position.clone() });
+                }
+            }
+        });
+        
+        this.city.outerZones.forEach(zone => {
+            if (!this.isInsideZone(zone, x, z)) {
+                this.zoneVisits.delete(zone);
+                return;
+            }
+            
+            const hasScored = this.zoneVisits.get(zone) || false;
+            if (isSideways && !hasScored) {
+                hits.push({ type: 'zone', points: zone.points, position: car.mesh.position.clone() });
+            }
+            this.zoneVisits.set(zone, hasScored || isSideways);
+        });
+        
+        return hits;
+    }
+    
+    // Full points inside the perfect radius, falling to 30% at the edge, rounded to tens
+    getClipPoints(clip, distance) {
+        const closeness = Math.min(1, Math.max(0, (clip.radius - distance) / (clip.radius - clip.perfectRadius)));
+        return Math.round(clip.points * (0.3 + 0.7 * closeness) / 10) * 10;
+    }
+    
+    isInsideZone(zone, x, z) {
+        const dx = x - zone.position.x;
+        const dz = z - zone.position.y;
+        const cos = Math.cos(zone.rotation);
+        const sin = Math.sin(zone.rotation);
+        const localX = dx * cos - dz * sin;
+        const localZ = dx * sin + dz * cos;
+        return Math.abs(localX) <= zone.width / 2 && Math.abs(localZ) <= zone.length / 2;
+    }
+} 
\ No newline at end of file
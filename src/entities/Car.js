@@ -1,40 +1,48 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { DriftEffect } from '../utils/DriftEffect.js';
+import { SparkEffect } from '../utils/SparkEffect.js';
+import { getSurfaceType } from '../core/Surfaces.js';
+import { Drivetrain } from '../core/Drivetrain.js';
+import { DamageModel } from '../core/DamageModel.js';
+import { DEFAULT_VEHICLE, findModelNodes } from '../core/Vehicles.js';
+import { DEFAULT_TUNING, normalizeTuning } from '../core/Tuning.js';
+import { DEFAULT_LIVERY, normalizeLivery, paintModel } from '../core/Livery.js';
 
 export class Car {
-    constructor(scene, physics) {
+    constructor(scene, physics, vehicle = DEFAULT_VEHICLE) {
         this.scene = scene;
         this.physics = physics;
         
         // Store camera reference
         this.camera = null; // Will be set from Game.js
         
-        // GameState reference for score updates
-        this.gameState = null; // Will be set from Game.js
-        
-        // Car properties - improved physics
-        this.maxSpeed = 25; // Increased max speed
-        this.acceleration = 15; // More responsive acceleration
-        this.deceleration = 20; // Stronger brakes
-        this.turnSpeed = 4.0;  // Slightly quicker turning
-        this.driftTurnMultiplier = 2.2; // Stronger drift effect
-        this.collisionRadius = 0.8;
-        
-        // Enhanced physics parameters
-        this.weight = 1500; // Car weight in kg
-        this.enginePower = 800; // Engine power factor
-        this.brakeForce = 100; // Increased brake force for better stopping
-        this.rollingResistance = 0.015; // Rolling resistance coefficient
-        this.dragCoefficient = 0.3; // Air resistance
-        this.engineBrakingFactor = 0.55; // Engine braking strength (4x stronger)
-        
-        // Nitro boost parameters
-        this.nitroAmount = 100; // Max nitro (percentage)
-        this.currentNitro = 100; // Current nitro amount
-        this.nitroBoostFactor = 6; // Boost multiplier when nitro is active
-        this.nitroDepletionRate = 30; // How fast nitro depletes per second
-        this.nitroRecoveryFromDrift = 4; // Nitro recovery per drift point
+        // Where drifts, spins and crashes are scored - set by the game
+        this.scoreEngine = null;
+        
+        // Handling, tires, drivetrain, nitro and collision box come from the vehicle definition,
+        // adjusted by the player's tuning setup
+        this.tuning = { ...DEFAULT_TUNING };
+        this.stockBrakeBias = DEFAULT_TUNING.brakeBias / 100; // Brake bias that doesn't upset either axle
+        this.brakeLockupGripLoss = 2.0; // Axle grip lost per unit of brake bias past stock while braking
+        this.applyVehicle(vehicle);
+        this.surfaceSlideRate = 6.0; // How fast the car stops sliding on low-grip surfaces when not drifting
+        this.powerBandBonus = 1.25; // Drift score multiplier while the engine is in its power band
+        
+        // Controls
+        // Classic: hold SPACE to switch into the drift model (arcade).
+        // Otherwise the tire model is always on and drifts come from technique -
+        // handbrake pulls, clutch kicks and lift-off or power oversteer.
+        this.classicControls = false;
+        this.clutchKickEnabled = true;
+        this.handbrakeDeceleration = 6.0; // Speed lost per second with the rear wheels locked
+        this.clutchKickDuration = 0.3; // Seconds of wheelspin after dropping the clutch
+        this.clutchKickBoost = 2.0; // Speed gained when the clutch bites
+        this.driftEntrySlip = 0.15; // Rear slip angle (radians) that counts as a drift
+        this.driftExitSlip = 0.08; // Slip angle below which the drift is over
+        
+        // Nitro state - tank size and rates come from the vehicle definition
+        this.currentNitro = this.nitroAmount; // Current nitro amount
         this.isNitroActive = false;
         
         // Drift parameters
@@ -43,12 +51,16 @@ export class Car {
         this.maxDriftDuration = 5.0; // Longer maximum drift time (was 2.0)
         
         // Drift scoring parameters
-        this.driftScore = 0; // Current drift score
-        this.totalScore = 0; // Total game score
-        this.activeDriftPoints = 0; // Points accumulated in current drift
-        this.driftPointsMultiplier = 1.0; // Multiplier based on drift duration
-        this.driftPointsBase = 10; // Base points per second of drift
+        this.driftPointsMultiplier = 1.0; // Builds up while a high angle is held
+        this.driftPointsBase = 10; // Points per second of a full-angle drift at top speed
         this.driftPointsText = null; // 3D text for showing drift points
+        this.driftAngle = 0; // Angle between heading and travel in radians, positive sliding to the left
+        this.driftScoreMinAngle = THREE.MathUtils.degToRad(10); // Shallower slides earn nothing
+        this.driftScoreFullAngle = THREE.MathUtils.degToRad(45); // Angle that earns the full rate
+        this.driftHighAngle = THREE.MathUtils.degToRad(30); // Holding at least this builds the multiplier
+        this.driftMultiplierGrowth = 0.5; // Multiplier gained per second at high angle
+        this.driftMultiplierDecay = 1.0; // Multiplier lost per second after straightening out
+        this.maxDriftPointsMultiplier = 5.0;
         
         // Restart and collision parameters
         this.initialPosition = new THREE.Vector3(20, 0, 20);
@@ -56,6 +68,16 @@ export class Car {
         this.isCollided = false;
         this.collisionRecoveryTime = 2.0; // Time after collision before auto-revival
         this.collisionTimer = 0;
+        this.respawnTracker = null; // Safe spots to put the car back on - set by the game
+        this.resetKeyHeld = false;
+        
+        // Damage - builds up over a run and only a restart repairs it
+        this.damage = new DamageModel();
+        this.damageDarkening = 0.7; // How dark the body gets at full damage
+        this.hardcoreMode = false; // A wrecked car ends the run instead of limping on
+        this.crashPenalty = 35; // Points lost when the car is revived after a heavy crash (set by the game mode)
+        this.isWrecked = false;
+        this.baseColors = []; // Undamaged body material colors
         
         // Car state
         this.velocity = 0;
@@ -63,7 +85,49 @@ export class Car {
         this.isDrifting = false;
         this.isBraking = false;
         this.isAccelerating = false;
+        this.isHandbrakeOn = false;
+        this.isClutchIn = false;
+        this.clutchKickTimer = 0;
+        this.shiftUpHeld = false;
+        this.shiftDownHeld = false;
+        this.isTireModelActive = false; // True while Physics.calculateDrift drives the car
         this.steeringAngle = 0;
+        this.yawRate = 0; // Radians per second, positive turns left
+        this.longitudinalAccel = 0; // Engine/brake acceleration applied this update
+        this.frontSlipAngle = 0;
+        this.rearSlipAngle = 0;
+        this.frontWheelAngle = 0; // Steered angle of the front wheels (radians), for the wheel visuals
+        this.wheelspin = 0; // Extra rear wheel speed from sliding on throttle, as a fraction of road speed
+        
+        // Surface contact - driven by Physics.updateSurfaceContact
+        this.wheelSurfaces = [0, 1, 2, 3].map(() => getSurfaceType('asphalt')); // FL, FR, RL, RR
+        this.frontSurfaceGrip = 1;
+        this.rearSurfaceGrip = 1;
+        this.surfaceRollingResistance = 1;
+        
+        // Vertical state - driven by Physics.updateVerticalDynamics
+        this.verticalVelocity = 0;
+        this.isAirborne = false;
+        this.airTime = 0;
+        this.airYawDamping = 0.5; // How quickly spin bleeds off in the air
+        this.suspensionCompression = 0; // 0-1, set on landing and springs back
+        this.suspensionTravel = 0.15; // Visual body drop at full compression
+        this.suspensionRecoveryRate = 4.0; // Compression recovered per second
+        this.bodyRestHeight = 0; // Resting height of the visible body inside the mesh group
+        this.bodyRestQuaternion = new THREE.Quaternion(); // Resting orientation of the visible body
+        
+        // Visual body roll and pitch from the car's acceleration
+        this.bodyRollPerAccel = 0.004; // Radians of roll per m/s² of lateral acceleration
+        this.bodyPitchPerAccel = 0.003; // Radians of pitch per m/s² of longitudinal acceleration
+        this.maxBodyRoll = 0.08;
+        this.maxBodyPitch = 0.06;
+        this.bodyMotionResponse = 8.0; // How quickly the body settles into its lean
+        this.bodyRoll = 0;
+        this.bodyPitch = 0;
+        this.lastVelocityVector = new THREE.Vector3();
+        
+        // Wheel nodes found in the model - see discoverWheels
+        this.wheels = [];
         
         // Drift timing and control
         this.driftDuration = 0;
@@ -81,11 +145,30 @@ export class Car {
         // Effects state
         this.brakeLights = [];
         this.exhaustFlames = [];
+        this.headLamps = [];
+        this.reverseLights = [];
+        
+        // Headlights - H switches them on and off
+        this.headlightsOn = true;
+        this.headlightToggleHeld = false;
+        this.headlightIntensity = 30;
+        this.headlightRange = 40;
         
         // Create a group to hold the car model and any attachments
         this.mesh = new THREE.Group();
         this.mesh.position.set(20, 0, 20); // Start away from obstacles
         this.scene.add(this.mesh);
+        this.createHeadlights();
+        
+        // Transforms for render interpolation between fixed simulation steps
+        this.previousPosition = this.mesh.position.clone();
+        this.previousRotation = this.mesh.rotation.y;
+        this.physicsPosition = new THREE.Vector3();
+        this.physicsRotation = 0;
+        this.isInterpolated = false;
+        
+        // Paint, stripes and tire smoke color picked in the garage
+        this.livery = { ...DEFAULT_LIVERY };
         
         // Create a simple placeholder while the model loads
         this.createPlaceholder();
@@ -95,6 +178,10 @@ export class Car {
         
         // Create the drift effect handler
         this.driftEffect = new DriftEffect(this.scene, this);
+        this.driftEffect.setSmokeColor(this.livery.smokeColor);
+        
+        // Sparks for wall scrapes and impacts
+        this.sparkEffect = new SparkEffect(this.scene);
     }
     
     createPlaceholder() {
@@ -107,15 +194,22 @@ export class Car {
         });
         
         this.placeholder = new THREE.Mesh(carGeometry, carMaterial);
+        this.placeholder.name = 'Placeholder_body';
         this.placeholder.castShadow = true;
         this.placeholder.receiveShadow = true;
         this.placeholder.position.set(0, 0.25, 0);
+        this.bodyRestHeight = 0.25;
+        this.bodyRestQuaternion.identity();
         
         // Add brake lights to placeholder
-        this.createBrakeLightsPlaceholder();
+        if (this.brakeLights.length === 0) {
+            this.createBrakeLightsPlaceholder();
+        }
         
         // Add to car mesh group
         this.mesh.add(this.placeholder);
+        this.setupLamps(this.placeholder);
+        this.paintBody();
     }
     
     createBrakeLightsPlaceholder() {
@@ -169,24 +263,117 @@ export class Car {
         this.exhaustFlames.push(rightFlame);
     }
     
+    // Copy the numbers from a vehicle definition onto the car
+    applyVehicle(vehicle) {
+        this.vehicle = vehicle;
+        
+        const handling = vehicle.handling;
+        this.maxSpeed = handling.maxSpeed;
+        this.acceleration = handling.acceleration;
+        this.deceleration = handling.deceleration;
+        this.turnSpeed = handling.turnSpeed;
+        this.driftTurnMultiplier = handling.driftTurnMultiplier;
+        this.weight = handling.weight; // Car weight in kg
+        this.enginePower = handling.enginePower; // Reverse drive strength
+        this.brakeForce = handling.brakeForce;
+        this.rollingResistance = handling.rollingResistance; // Rolling resistance coefficient
+        this.dragCoefficient = handling.dragCoefficient; // Air resistance
+        this.engineBrakingFactor = handling.engineBrakingFactor; // Engine braking strength
+        
+        // Oriented collision box used by Physics.checkCollisions
+        this.collisionHalfWidth = vehicle.collision.halfWidth;
+        this.collisionHalfLength = vehicle.collision.halfLength;
+        this.collisionHeight = vehicle.collision.height;
+        
+        // Tire model parameters used by Physics.calculateDrift
+        this.tires = {
+            ...vehicle.tires,
+            front: { ...vehicle.tires.front },
+            rear: { ...vehicle.tires.rear }
+        };
+        
+        // Engine and gearbox - drive force, RPM and gear come from here. Keep the player's gearbox choice.
+        const isAutomatic = this.drivetrain ? this.drivetrain.isAutomatic : true;
+        this.drivetrain = new Drivetrain(vehicle.drivetrain);
+        this.drivetrain.isAutomatic = isAutomatic;
+        
+        // Nitro
+        this.nitroAmount = vehicle.nitro.capacity; // Max nitro
+        this.nitroBoostFactor = vehicle.nitro.boostFactor; // Boost multiplier when nitro is active
+        this.nitroDepletionRate = vehicle.nitro.depletionRate; // How fast nitro depletes per second
+        this.nitroRecoveryFromDrift = vehicle.nitro.recoveryFromDrift; // Nitro recovery per drift point
+        
+        this.applyTuning();
+    }
+    
+    // Adjust the stock vehicle values by the tuning setup
+    applyTuning() {
+        const tuning = this.tuning;
+        
+        const lock = tuning.steeringLock / 100;
+        this.tires.maxSteerAngle *= lock;
+        this.turnSpeed *= lock;
+        
+        const bias = tuning.rearGripBias / 100;
+        this.tires.front.grip *= 1 - bias;
+        this.tires.rear.grip *= 1 + bias;
+        
+        // Stock diff sits at 50 - locking it shares more of the rear grip with drive force
+        this.tires.throttleBreakaway *= 0.5 + tuning.differentialLock / 100;
+        
+        const nitro = tuning.nitroStrength / 100;
+        this.nitroBoostFactor = 1 + (this.nitroBoostFactor - 1) * nitro;
+        this.nitroDepletionRate *= nitro;
+        
+        this.brakeBias = tuning.brakeBias / 100;
+    }
+    
+    setTuning(setup) {
+        this.tuning = normalizeTuning(setup);
+        this.applyVehicle(this.vehicle);
+    }
+    
+    // Switch to another vehicle, reloading the model only if the new one looks different
+    setVehicle(vehicle) {
+        const previous = this.vehicle;
+        this.applyVehicle(vehicle);
+        this.currentNitro = Math.min(this.currentNitro, this.nitroAmount);
+        
+        const looks = (v) => JSON.stringify([v.model, v.exhausts, v.lights]);
+        if (looks(previous) !== looks(vehicle)) {
+            this.loadCustomModel();
+        }
+    }
+    
     loadCustomModel() {
-        console.log('Attempting to load car model from: /models/car.glb');
+        const model = this.vehicle.model;
+        const loadId = this.modelLoadId = (this.modelLoadId || 0) + 1;
+        
+        console.log(`Attempting to load car model from: ${model.url}`);
         const loader = new GLTFLoader();
         loader.load(
-            '/models/car.glb',
+            model.url,
             (gltf) => {
+                // Another vehicle was picked while this one was loading
+                if (loadId !== this.modelLoadId) return;
+                
                 console.log('Car model loaded successfully:', gltf);
+                this.removeModel();
                 this.car = gltf.scene;
                 
-                // Scale and rotate the car model
-                this.car.scale.set(0.01, 0.01, 0.01);
-                this.car.rotation.y = Math.PI/2;
-                
-                // Position adjustment - lift the car up
-                this.car.position.y = 0.5; // Lift the car 0.5 units up
+                // Scale, rotate and lift the model as the vehicle definition says
+                this.car.scale.fromArray(model.scale);
+                this.car.rotation.set(...model.rotation.map(degrees => THREE.MathUtils.degToRad(degrees)));
+                this.car.position.fromArray(model.position);
+                this.bodyRestHeight = this.car.position.y;
+                this.bodyRestQuaternion.copy(this.car.quaternion);
                 
                 // Add the car model to our mesh group for proper positioning
                 this.mesh.add(this.car);
+                this.discoverWheels(this.car);
+                this.setupModelBrakeLights(this.car);
+                this.setupLamps(this.car);
+                this.paintBody();
                 
                 // Create exhaust effects for the model
                 this.createExhaustFlamesForModel(this.car);
@@ -206,27 +393,187 @@ export class Car {
                 console.error('Error loading car model:', error);
                 console.error('Error details:', error.message);
                 // Create placeholder if model fails to load
-                this.createPlaceholder();
+                if (loadId === this.modelLoadId && !this.placeholder) {
+                    this.removeModel();
+                    this.createPlaceholder();
+                }
             }
         );
     }
     
-    createExhaustFlamesForModel(model) {
-        // Find exhaust positions on the model or create default ones
-        const exhaustPositions = [];
+    // Take the current model and everything attached to it off the car
+    removeModel() {
+        this.exhaustFlames.forEach(flame => {
+            this.mesh.remove(flame);
+            flame.geometry.dispose();
+            flame.material.dispose();
+        });
+        this.exhaustFlames = [];
         
-        // Try to find exhaust pipes in the model
-        model.traverse((node) => {
-            if (node.name && (
-                node.name.toLowerCase().includes('exhaust') || 
-                node.name.toLowerCase().includes('pipe')
-            )) {
-                // Get world position of exhaust
-                const worldPos = new THREE.Vector3();
-                node.getWorldPosition(worldPos);
-                exhaustPositions.push(worldPos);
+        if (!this.car) return;
+        
+        this.mesh.remove(this.car);
+        this.car = null;
+        this.wheels = [];
+        this.headLamps = [];
+        this.removeReverseLights();
+        if (this.hasModelBrakeLights) {
+            this.brakeLights = [];
+            this.hasModelBrakeLights = false;
+        }
+    }
+    
+    // Use the lamps named in the vehicle definition as brake lights, otherwise keep simple boxes
+    setupModelBrakeLights(model) {
+        const lamps = this.findLamps(model, this.vehicle.lights.brake);
+        
+        if (lamps.length === 0) {
+            if (this.brakeLights.length === 0) {
+                this.createBrakeLightsPlaceholder();
             }
+            return;
+        }
+        
+        // Replace the placeholder boxes
+        this.brakeLights.forEach(light => this.mesh.remove(light));
+        this.brakeLights = lamps;
+        this.hasModelBrakeLights = true;
+    }
+    
+    // Lamp meshes named in the vehicle definition
+    findLamps(model, names) {
+        return findModelNodes(model, names)
+            .filter(node => node.isMesh)
+            .map(node => {
+                // Own material so other parts sharing it don't light up
+                node.material = node.material.clone();
+                return node;
+            });
+    }
+    
+    // Two spotlights that light the road ahead. They are aimed once the body is known.
+    createHeadlights() {
+        this.headlights = [-1, 1].map(side => {
+            const spot = new THREE.SpotLight(0xfff4e0, this.headlightIntensity, this.headlightRange, 0.45, 0.5, 1);
+            spot.position.set(side * 0.3, 0.25, -1);
+            spot.target.position.set(side * 0.3, 0, -11);
+            this.mesh.add(spot);
+            this.mesh.add(spot.target);
+            return spot;
         });
+    }
+    
+    // Head and reverse lamps for the body being shown - the placeholder or the loaded model
+    setupLamps(body) {
+        const lights = this.vehicle.lights;
+        const isModel = body === this.car;
+        
+        // Beams shine from the front of the head lamps, or of the body without them
+        this.headLamps = isModel ? this.findLamps(body, lights.head) : [];
+        const front = this.getFrontBounds(this.headLamps.length > 0 ? this.headLamps : [body]);
+        const center = front.getCenter(new THREE.Vector3());
+        const width = front.max.x - front.min.x;
+        this.headlights.forEach((spot, index) => {
+            const x = center.x + (index === 0 ? -0.35 : 0.35) * width;
+            spot.position.set(x, center.y, front.min.z);
+            spot.target.position.set(x, 0, front.min.z - 10);
+        });
+        
+        this.removeReverseLights();
+        const reverseLamps = isModel ? this.findLamps(body, lights.reverse) : [];
+        if (reverseLamps.length > 0) {
+            this.reverseLights = reverseLamps;
+            this.hasModelReverseLights = true;
+        } else {
+            this.createReverseLightsPlaceholder();
+        }
+        
+        this.updateLights();
+    }
+    
+    // Vertices of some objects' meshes in car space
+    getCarSpacePoints(objects) {
+        const points = [];
+        
+        this.mesh.updateMatrixWorld(true);
+        const toCar = this.mesh.matrixWorld.clone().invert();
+        objects.forEach(object => object.traverse(node => {
+            if (!node.isMesh) return;
+            
+            const matrix = toCar.clone().multiply(node.matrixWorld);
+            const positions = node.geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                points.push(new THREE.Vector3().fromBufferAttribute(positions, i).applyMatrix4(matrix));
+            }
+        }));
+        
+        return points;
+    }
+    
+    // Car space bounds of the front-most vertices of some objects
+    getFrontBounds(objects) {
+        const depth = 0.25; // How far back from the nose vertices still count as the front
+        const points = this.getCarSpacePoints(objects);
+        const nose = points.reduce((min, point) => Math.min(min, point.z), Infinity);
+        return new THREE.Box3().setFromPoints(points.filter(point => point.z < nose + depth));
+    }
+    
+    // White boxes inboard of the brake lights
+    createReverseLightsPlaceholder() {
+        const bounds = new THREE.Box3().setFromPoints(this.getCarSpacePoints(this.brakeLights));
+        const center = bounds.getCenter(new THREE.Vector3());
+        const width = bounds.max.x - bounds.min.x;
+        const reverseGeometry = new THREE.BoxGeometry(0.15, 0.08, 0.05);
+        const reverseMaterial = new THREE.MeshStandardMaterial({
+            color: 0xdddddd,
+            emissive: 0xffffff,
+            emissiveIntensity: 0.0, // Off by default
+            roughness: 0.3
+        });
+        
+        [-0.25, 0.25].forEach(side => {
+            const light = new THREE.Mesh(reverseGeometry, reverseMaterial.clone());
+            light.position.set(center.x + side * width, center.y, bounds.max.z);
+            this.mesh.add(light);
+            this.reverseLights.push(light);
+        });
+    }
+    
+    removeReverseLights() {
+        if (!this.hasModelReverseLights) {
+            this.reverseLights.forEach(light => {
+                this.mesh.remove(light);
+                light.geometry.dispose();
+                light.material.dispose();
+            });
+        }
+        this.reverseLights = [];
+        this.hasModelReverseLights = false;
+    }
+    
+    setHeadlights(on) {
+        this.headlightsOn = on;
+        this.updateLights();
+    }
+    
+    createExhaustFlamesForModel(model) {
+        // Exhaust positions from the vehicle definition, the model or defaults
+        const exhaustPositions = this.vehicle.exhausts.map(position => new THREE.Vector3().fromArray(position));
+        
+        // Try to find exhaust pipes in the model
+        if (exhaustPositions.length === 0) {
+            model.traverse((node) => {
+                if (node.name && (
+                    node.name.toLowerCase().includes('exhaust') || 
+                    node.name.toLowerCase().includes('pipe')
+                )) {
+                    // Get world position of exhaust
+                    const worldPos = new THREE.Vector3();
+                    node.getWorldPosition(worldPos);
+                    exhaustPositions.push(worldPos);
+                }
+            });
+        }
         
         // If no exhausts found, create default positions
         if (exhaustPositions.length === 0) {
@@ -264,6 +611,22 @@ export class Car {
             return; // Skip the rest of the update after restart
         }
         
+        // Headlights switch on key press, even while crashed
+        if (keys.h && !this.headlightToggleHeld) {
+            this.setHeadlights(!this.headlightsOn);
+        }
+        this.headlightToggleHeld = keys.h;
+        
+        // T puts the car back on the last safe spot, once per press
+        const resetPressed = keys.t && !this.resetKeyHeld;
+        this.resetKeyHeld = keys.t;
+        
+        // Sparks keep flying even while crashed
+        this.sparkEffect.update(deltaTime);
+        
+        // A wrecked car stays where it stopped
+        if (this.isWrecked) return;
+        
         // Handle auto-revival after collision
         if (this.isCollided) {
             this.collisionTimer += deltaTime;
@@ -273,8 +636,23 @@ export class Car {
             return; // Skip normal updates while collided
         }
         
+        if (resetPressed) {
+            this.respawn();
+            return;
+        }
+        
+        this.updateSuspension(deltaTime);
+        this.updateWheels(deltaTime);
+        
+        // No traction in the air - the car just flies
+        if (this.isAirborne) {
+            this.updateAirborne(deltaTime);
+            return;
+        }
+        
         // Reset states
         this.isBraking = false;
+        this.isFootBraking = false;
         this.isAccelerating = false;
         
         // Handle nitro boost activation with Shift key
@@ -284,10 +662,10 @@ export class Car {
             this.currentNitro = Math.max(0, this.currentNitro - this.nitroDepletionRate * deltaTime);
             
             // Create nitro visual effect if not already present
-            this.updateNitroEffect(true);
+            this.updateNitroEffect(true, deltaTime);
         } else {
             this.isNitroActive = false;
-            this.updateNitroEffect(false);
+            this.updateNitroEffect(false, deltaTime);
         }
         
         // Track previous rotation for spin detection
@@ -296,23 +674,29 @@ export class Car {
         // Store previous velocity for physics calculations
         const prevVelocity = this.velocity;
         
+        // Handbrake - SPACE doubles as the handbrake when it isn't the classic drift button
+        this.isHandbrakeOn = keys.e || (!this.classicControls && keys.space);
+        this.updateClutch(keys, deltaTime);
+        this.updateDrivetrain(keys, deltaTime);
+        
         // Handle inputs based on current direction of travel
         if (keys.arrowUp || keys.w) {
             // Accelerating forward
             this.isAccelerating = true;
             
-            if (this.velocity >= 0) {
-                // Already moving forward or stopped - accelerate forward
-                const accelerationFactor = this.calculateAccelerationFactor();
-                let engineForce = this.enginePower * accelerationFactor * deltaTime;
+            if (this.isClutchIn) {
+                // Clutch in - the engine revs but doesn't drive the wheels
+            } else if (this.velocity >= 0) {
+                // Already moving forward or stopped - accelerate forward through the gearbox
+                let engineForce = this.drivetrain.getDriveAcceleration(this.weight) * deltaTime * this.getTraction();
                 
-                // Apply nitro boost if active
+                // Apply nitro boost if active - a crushed exhaust wastes some of it
                 if (this.isNitroActive) {
-                    engineForce *= this.nitroBoostFactor;
+                    engineForce *= 1 + (this.nitroBoostFactor - 1) * this.damage.getNitroFactor();
                 }
                 
                 this.velocity = Math.min(this.velocity + engineForce, 
-                    this.isNitroActive ? this.maxSpeed * 1.4 : this.maxSpeed);
+                    this.isNitroActive ? this.getMaxSpeed() * 1.4 : this.getMaxSpeed());
             } else {
                 // Moving backward - apply brakes to slow down first
                 this.isBraking = true;
@@ -325,7 +709,8 @@ export class Car {
             
             if (this.velocity > 0) {
                 // Moving forward - apply brakes progressively based on speed and time
-                const brakeForce = this.brakeForce * deltaTime;
+                this.isFootBraking = true;
+                const brakeForce = this.brakeForce * deltaTime * this.getBrakeGrip();
                 
                 // Reduce braking effect during drifts to maintain speed
                 const driftBrakeReduction = this.isDrifting ? 0.25 : 1.0;
@@ -388,6 +773,13 @@ export class Car {
             }
         }
         
+        // Locked rear wheels scrub off speed
+        if (this.isHandbrakeOn && this.velocity !== 0) {
+            this.isBraking = true;
+            const handbrakeLoss = this.handbrakeDeceleration * this.getBrakeGrip() * deltaTime;
+            this.velocity = Math.sign(this.velocity) * Math.max(0, Math.abs(this.velocity) - handbrakeLoss);
+        }
+        
         // Handle steering with weight transfer effects
         this.steeringAngle = 0;
         if (keys.arrowLeft || keys.a) {
@@ -398,80 +790,75 @@ export class Car {
             this.steeringAngle = -1 * steeringFactor; // Right
         }
         
-        // Check for drift (space bar) - need sufficient speed for drifting
+        // Bent steering responds less and pulls toward the damaged side
+        this.steeringAngle *= this.damage.getSteeringFactor();
+        if (Math.abs(this.velocity) > 1) {
+            this.steeringAngle = THREE.MathUtils.clamp(this.steeringAngle + this.damage.getSteeringPull(), -1, 1);
+        }
+        
+        // Check for drift - need sufficient speed for drifting
         const wasDrifting = this.isDrifting;
-        this.isDrifting = keys.space && Math.abs(this.velocity) > this.driftInitiationSpeed;
+        const hasDriftSpeed = Math.abs(this.velocity) > this.driftInitiationSpeed;
+        if (this.classicControls) {
+            // Classic - the drift button (or handbrake) switches into the drift model
+            this.isDrifting = (keys.space || this.isHandbrakeOn) && hasDriftSpeed;
+        } else {
+            // The car is drifting when the rear end is actually sliding
+            const slipThreshold = wasDrifting ? this.driftExitSlip : this.driftEntrySlip;
+            this.isDrifting = Math.abs(this.rearSlipAngle) > slipThreshold && hasDriftSpeed;
+        }
+        
+        this.driftAngle = this.getDriftAngle();
         
         // Handle drift scoring and nitro recovery
         if (this.isDrifting) {
-            // If just started drifting, reset drift score
+            // If just started drifting, start a new drift score
             if (!wasDrifting) {
-                this.activeDriftPoints = 0;
                 this.driftPointsMultiplier = 1.0;
+                this.scoreEngine.beginDrift();
                 this.createDriftPointsText();
             } else {
-                // Accumulate drift points based on duration and speed
-                const speedFactor = Math.min(1.0, this.velocity / this.maxSpeed);
-                this.driftPointsMultiplier = Math.min(5.0, 1.0 + (this.driftDuration / 2.0));
-                const pointsThisFrame = this.driftPointsBase * speedFactor * this.driftPointsMultiplier * deltaTime;
-                this.activeDriftPoints += pointsThisFrame;
-                
-                // Update the drift points text
-                this.updateDriftPointsText(Math.floor(this.activeDriftPoints));
+                // Accumulate drift points based on angle and speed
+                const speedFactor = Math.min(1.0, Math.abs(this.velocity) / this.maxSpeed);
+                const angle = this.getScoringAngle();
+                const angleFactor = THREE.MathUtils.clamp(
+                    (angle - this.driftScoreMinAngle) / (this.driftScoreFullAngle - this.driftScoreMinAngle), 0, 1);
                 
-                // Update GameState during drift for real-time score updates
-                if (this.gameState && Math.floor(this.driftDuration * 2) > Math.floor((this.driftDuration - deltaTime) * 2)) {
-                    // Update the temporary score in GameState
-                    const currentTotal = this.totalScore + Math.floor(this.activeDriftPoints);
-                    this.gameState.score = currentTotal;
-                    this.gameState.notifyScoreUpdate();
+                // Holding a high angle builds the multiplier, straightening out bleeds it away
+                if (angle >= this.driftHighAngle) {
+                    this.driftPointsMultiplier = Math.min(this.maxDriftPointsMultiplier,
+                        this.driftPointsMultiplier + this.driftMultiplierGrowth * deltaTime);
+                } else {
+                    this.driftPointsMultiplier = Math.max(1.0,
+                        this.driftPointsMultiplier - this.driftMultiplierDecay * deltaTime);
                 }
                 
-                // Update scoreboard every half second during drift for smoother display
-                if (Math.floor(this.driftDuration * 2) > Math.floor((this.driftDuration - deltaTime) * 2)) {
-                    document.dispatchEvent(new CustomEvent('scoreUpdate', { 
-                        detail: { 
-                            score: this.totalScore + Math.floor(this.activeDriftPoints),
-                            multiplier: this.driftPointsMultiplier
-                        } 
-                    }));
-                }
+                const powerBandFactor = this.drivetrain.isInPowerBand() ? this.powerBandBonus : 1.0;
+                const pointsThisFrame = this.driftPointsBase * speedFactor * angleFactor * this.driftPointsMultiplier * powerBandFactor * deltaTime;
+                this.scoreEngine.addDriftPoints(pointsThisFrame, angle, this.driftPointsMultiplier);
+                
+                // Update the drift points text
+                this.updateDriftPointsText(this.scoreEngine.getDriftPoints());
             }
         } else if (wasDrifting) {
-            // Just finished drifting, add points to total score
-            const finalPoints = Math.floor(this.activeDriftPoints);
-            this.totalScore += finalPoints;
-            
-            // Add to GameState if available
-            if (this.gameState) {
-                this.gameState.addScore(finalPoints);
-                console.log(`Drift score added: ${finalPoints}, Total: ${this.gameState.score}`);
-            }
+            // Just finished drifting - bank the drift
+            const entry = this.scoreEngine.endDrift();
+            const finalPoints = entry ? entry.points : 0;
             
             // Recover nitro based on drift score
-            this.currentNitro = Math.min(100, this.currentNitro + (finalPoints * this.nitroRecoveryFromDrift));
+            this.currentNitro = Math.min(this.nitroAmount, this.currentNitro + (finalPoints * this.nitroRecoveryFromDrift));
             
-            // Reset drift score and remove text
-            this.activeDriftPoints = 0;
             this.removeDriftPointsText();
             
             // Dispatch a score event
             const driftScoreEvent = new CustomEvent('driftScore', { 
                 detail: { 
                     points: finalPoints,
-                    total: this.totalScore,
+                    total: this.scoreEngine.total,
                     position: this.mesh.position.clone()
                 } 
             });
             document.dispatchEvent(driftScoreEvent);
-            
-            // Also dispatch an immediate score update for more responsive UI
-            document.dispatchEvent(new CustomEvent('scoreUpdate', { 
-                detail: { 
-                    score: this.totalScore,
-                    multiplier: 1.0 // Reset to 1 after drift
-                } 
-            }));
         }
         
         // When accelerating during a drift, always maintain forward velocity regardless of steering
@@ -499,34 +886,48 @@ export class Car {
             this.driftIntensity = 0;
         }
         
-        // Apply steering (simplified for drifting)
-        let effectiveTurnSpeed;
-        if (this.isDrifting) {
-            // Significantly increase drift turning rate for more dramatic drifts
-            effectiveTurnSpeed = this.turnSpeed * 1.7; // Changed from 3.0 to 1.7
-        } else {
-            effectiveTurnSpeed = this.turnSpeed;
-        }
-        
-        this.mesh.rotation.y += this.steeringAngle * effectiveTurnSpeed * deltaTime * 
-            (Math.abs(this.velocity) / this.maxSpeed);
-        
-        // Calculate velocity vector based on car's rotation when NOT drifting
-        // When drifting, the physics system will handle this differently
-        if (!this.isDrifting) {
+        // Classic controls only use the tire model while drifting
+        this.isTireModelActive = this.isDrifting || !this.classicControls;
+        
+        // Calculate velocity vector based on car's rotation when the tire model is off
+        // Otherwise the tire model rotates the car and integrates the velocity vector
+        if (!this.isTireModelActive) {
+            // Grip driving - the car turns where it's pointed
+            this.yawRate = this.steeringAngle * this.turnSpeed * (Math.abs(this.velocity) / this.maxSpeed);
+            this.mesh.rotation.y += this.yawRate * deltaTime;
+            this.frontSlipAngle = 0;
+            this.rearSlipAngle = 0;
+            this.frontWheelAngle = this.steeringAngle * this.tires.maxSteerAngle;
+            
             const direction = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
-            this.velocityVector = direction.multiplyScalar(this.velocity);
+            const targetVelocity = direction.multiplyScalar(this.velocity);
+            
+            const surfaceGrip = Math.min(this.frontSurfaceGrip, this.rearSurfaceGrip);
+            if (surfaceGrip >= 1) {
+                this.velocityVector = targetVelocity;
+            } else {
+                // Low-grip surfaces let the car keep sliding the way it was going
+                const alignRate = this.surfaceSlideRate * surfaceGrip / (1 - surfaceGrip);
+                this.velocityVector.lerp(targetVelocity, 1 - Math.exp(-alignRate * deltaTime));
+            }
         }
         
-        // Calculate drift physics
-        if (this.isDrifting) {
-            // Calculate drift effect - drift force is returned for visual effects
-            const driftForce = this.physics.calculateDrift(this, this.steeringAngle, this.isDrifting, deltaTime);
+        // Calculate tire physics
+        let driftForce = 0;
+        if (this.isTireModelActive) {
+            // Engine and brake change from this update feeds the tire model as longitudinal force
+            this.longitudinalAccel = (this.velocity - prevVelocity) / deltaTime;
+            
+            // Drift force is returned for visual effects
+            driftForce = this.physics.calculateDrift(this, this.steeringAngle, this.isTireModelActive, deltaTime);
             
             // Recalculate velocity scalar based on the new vector's length
             this.velocity = this.velocityVector.length() * Math.sign(this.velocity);
-            
-            // Update drift visual effects based on drift force
+        }
+        
+        if (this.isDrifting) {
+            // Update drift visual effects based on drift force and what the rear tires are on
+            this.driftEffect.setSurfaces(this.wheelSurfaces[2], this.wheelSurfaces[3]);
             this.driftEffect.update(deltaTime, driftForce, this.mesh.position, this.mesh.rotation);
         } else {
             // Fade out drift effects when not drifting
@@ -558,12 +959,7 @@ export class Car {
             // Player just finished a spinout that lasted at least 0.5 seconds
             // Add bonus points for completing a spin
             const spinBonus = Math.floor(this.spinScore * 2.5);
-            
-            // Add to GameState if available
-            if (this.gameState) {
-                this.gameState.addScore(spinBonus);
-                console.log(`Spin score added: ${spinBonus}, Total: ${this.gameState.score}`);
-            }
+            this.scoreEngine.addEvent('spin', spinBonus, { duration: Math.round(this.spinTime * 100) / 100 });
             
             // Dispatch a custom event for scoring
             const spinEvent = new CustomEvent('spinout', { 
@@ -575,15 +971,6 @@ export class Car {
             });
             document.dispatchEvent(spinEvent);
             
-            // Update total score and dispatch score update
-            this.totalScore += spinBonus;
-            document.dispatchEvent(new CustomEvent('scoreUpdate', {
-                detail: {
-                    score: this.totalScore,
-                    multiplier: 1.0
-                }
-            }));
-            
             // Reset spin tracking
             this.spinTime = 0;
             this.spinScore = 0;
@@ -594,15 +981,181 @@ export class Car {
         }
         
         // Update visual effects
-        this.updateBrakeLights();
+        this.updateLights();
         this.updateExhaustFlames(deltaTime);
     }
     
-    calculateAccelerationFactor() {
-        // Return a factor between 0 and 1 based on current speed
-        // This creates a non-linear acceleration curve
-        const speedRatio = Math.abs(this.velocity) / this.maxSpeed;
-        return (1 - Math.pow(speedRatio, 1.5)) * 0.05;
+    // Held on the grid before the start - the brakes are on and the throttle only revs the engine
+    updateHeld(deltaTime, keys) {
+        if (keys.h && !this.headlightToggleHeld) {
+            this.setHeadlights(!this.headlightsOn);
+        }
+        this.headlightToggleHeld = keys.h;
+        this.sparkEffect.update(deltaTime);
+        
+        this.velocity = 0;
+        this.velocityVector.set(0, 0, 0);
+        this.yawRate = 0;
+        this.isBraking = true;
+        this.isAccelerating = keys.arrowUp || keys.w;
+        this.drivetrain.update(deltaTime, 0, this.isAccelerating ? 1 : 0, true);
+        
+        this.updateLights();
+        this.updateExhaustFlames(deltaTime);
+    }
+    
+    // Perfect start off the grid - a burst of speed, as much as the surface lets the tires put down
+    launch(boost) {
+        this.velocity = Math.min(this.velocity + boost * this.getTraction(), this.getMaxSpeed());
+        
+        document.dispatchEvent(new CustomEvent('carLaunched', {
+            detail: {
+                position: this.mesh.position.clone()
+            }
+        }));
+    }
+    
+    // Ballistic flight - the wheels can't push, steer or brake
+    updateAirborne(deltaTime) {
+        this.isBraking = false;
+        this.isAccelerating = false;
+        this.isNitroActive = false;
+        this.updateNitroEffect(false, deltaTime);
+        
+        // Keep whatever spin the car took off with, slowly damped
+        this.yawRate *= Math.max(0, 1 - this.airYawDamping * deltaTime);
+        this.mesh.rotation.y += this.yawRate * deltaTime;
+        
+        this.mesh.position.add(this.velocityVector.clone().multiplyScalar(deltaTime));
+        
+        this.driftEffect.fade(deltaTime);
+        this.updateLights();
+        this.updateExhaustFlames(deltaTime);
+    }
+    
+    // Spring the visible body back up after a landing, and lean it with the car's acceleration
+    updateSuspension(deltaTime) {
+        this.suspensionCompression = Math.max(0, this.suspensionCompression - this.suspensionRecoveryRate * deltaTime);
+        
+        // Acceleration over the last step in the car's frame. The body rolls away from the turn,
+        // squats under power and dives under braking.
+        const heading = this.mesh.rotation.y;
+        const forward = new THREE.Vector3(-Math.sin(heading), 0, -Math.cos(heading));
+        const left = new THREE.Vector3(-Math.cos(heading), 0, Math.sin(heading));
+        const accel = this.velocityVector.clone().sub(this.lastVelocityVector).divideScalar(deltaTime);
+        this.lastVelocityVector.copy(this.velocityVector);
+        
+        // No lean in the air
+        const targetRoll = this.isAirborne ? 0 : THREE.MathUtils.clamp(
+            -accel.dot(left) * this.bodyRollPerAccel, -this.maxBodyRoll, this.maxBodyRoll
+        );
+        const targetPitch = this.isAirborne ? 0 : THREE.MathUtils.clamp(
+            accel.dot(forward) * this.bodyPitchPerAccel, -this.maxBodyPitch, this.maxBodyPitch
+        );
+        const blend = 1 - Math.exp(-this.bodyMotionResponse * deltaTime);
+        this.bodyRoll += (targetRoll - this.bodyRoll) * blend;
+        this.bodyPitch += (targetPitch - this.bodyPitch) * blend;
+        
+        const body = this.car || this.placeholder;
+        if (body) {
+            body.position.y = this.bodyRestHeight - this.suspensionCompression * this.suspensionTravel;
+            
+            const lean = new THREE.Quaternion().setFromEuler(new THREE.Euler(this.bodyPitch, 0, this.bodyRoll));
+            body.quaternion.multiplyQuaternions(lean, this.bodyRestQuaternion);
+        }
+    }
+    
+    // Find the wheel nodes named in the vehicle definition. Each wheel keeps its resting transform in
+    // car space, so it can spin and steer about its own center and stay planted while the body leans.
+    discoverWheels(model) {
+        this.wheels = [];
+        this.mesh.updateMatrixWorld(true);
+        
+        const toCar = this.mesh.matrixWorld.clone().invert();
+        const toModel = model.matrixWorld.clone().invert();
+        
+        ['front', 'rear'].forEach(axle => {
+            const prefix = THREE.PropertyBinding.sanitizeNodeName(this.vehicle.wheels[axle]).toLowerCase();
+            if (!prefix) return;
+            
+            // The outermost nodes whose names start with the prefix - their children move with them
+            const nodes = [];
+            const search = (node) => node.children.forEach(child => {
+                if (child.name.toLowerCase().startsWith(prefix)) {
+                    nodes.push(child);
+                } else {
+                    search(child);
+                }
+            });
+            search(model);
+            
+            nodes.forEach(node => {
+                // Wheel center and radius from its meshes, in car space
+                const bounds = new THREE.Box3();
+                node.traverse(child => {
+                    if (!child.isMesh) return;
+                    if (!child.geometry.boundingBox) {
+                        child.geometry.computeBoundingBox();
+                    }
+                    bounds.union(child.geometry.boundingBox.clone().applyMatrix4(toCar.clone().multiply(child.matrixWorld)));
+                });
+                if (bounds.isEmpty()) return;
+                
+                node.matrixAutoUpdate = false;
+                this.wheels.push({
+                    node: node,
+                    isFront: axle === 'front',
+                    isLeft: bounds.getCenter(new THREE.Vector3()).x < 0,
+                    center: bounds.getCenter(new THREE.Vector3()),
+                    radius: Math.max(0.1, (bounds.max.y - bounds.min.y) / 2),
+                    restMatrix: toCar.clone().multiply(node.matrixWorld), // Wheel in car space
+                    parentMatrix: toModel.clone().multiply(node.parent.matrixWorld), // Wheel's parent in model space
+                    spin: 0
+                });
+            });
+        });
+        
+        if (this.wheels.length === 0) {
+            console.warn(`No wheel nodes found for ${this.vehicle.id} - the model will move as one piece`);
+        }
+    }
+    
+    // Spin the wheels with road speed and steer the fronts. The rears lock under the handbrake
+    // and spin faster than the road when sliding on throttle.
+    updateWheels(deltaTime) {
+        if (!this.car || this.wheels.length === 0) return;
+        
+        const heading = this.mesh.rotation.y;
+        const forward = new THREE.Vector3(-Math.sin(heading), 0, -Math.cos(heading));
+        const roadSpeed = this.velocityVector.dot(forward);
+        const rearSpeed = this.isHandbrakeOn ? 0 : roadSpeed * (1 + this.wheelspin);
+        
+        // The wheels' parents lean with the body, so work back from car space through the body
+        this.car.updateMatrix();
+        
+        this.wheels.forEach(wheel => {
+            const speed = wheel.isFront ? roadSpeed : rearSpeed;
+            wheel.spin = (wheel.spin - speed / wheel.radius * deltaTime) % (Math.PI * 2);
+            
+            // Spin about the axle and steer about the vertical, through the wheel's center
+            const turn = new THREE.Matrix4().makeRotationFromEuler(
+                new THREE.Euler(wheel.spin, wheel.isFront ? this.frontWheelAngle : 0, 0, 'YXZ')
+            );
+            const pivot = new THREE.Matrix4().makeTranslation(wheel.center.x, wheel.center.y, wheel.center.z);
+            const unpivot = new THREE.Matrix4().makeTranslation(-wheel.center.x, -wheel.center.y, -wheel.center.z);
+            const wheelInCar = pivot.multiply(turn).multiply(unpivot).multiply(wheel.restMatrix);
+            
+            const parentInCar = this.car.matrix.clone().multiply(wheel.parentMatrix);
+            wheel.node.matrix.copy(parentInCar.invert().multiply(wheelInCar));
+            wheel.node.matrixWorldNeedsUpdate = true;
+        });
+    }
+    
+    onLanded(impactSpeed, quality) {
+        // Bottoming out throws sparks off the underbody
+        if (this.suspensionCompression >= 1) {
+            this.sparkEffect.emit(this.mesh.position, new THREE.Vector3(0, 1, 0), 1 - quality);
+        }
     }
     
     calculateDragForce(deltaTime) {
@@ -611,8 +1164,95 @@ export class Car {
     }
     
     calculateRollingResistance(deltaTime) {
-        // Rolling resistance is proportional to velocity
-        return this.rollingResistance * Math.abs(this.velocity) * 0.01 * deltaTime;
+        // Rolling resistance is proportional to velocity and depends on the surface
+        return this.rollingResistance * this.surfaceRollingResistance * Math.abs(this.velocity) * 0.01 * deltaTime;
+    }
+    
+    // Clutch kick - dip the clutch on throttle and drop it to break the rear wheels loose
+    updateClutch(keys, deltaTime) {
+        const wasClutchIn = this.isClutchIn;
+        this.isClutchIn = this.clutchKickEnabled && keys.q;
+        this.clutchKickTimer = Math.max(0, this.clutchKickTimer - deltaTime);
+        
+        const onThrottle = keys.arrowUp || keys.w;
+        if (wasClutchIn && !this.isClutchIn && onThrottle && this.velocity > this.driftInitiationSpeed) {
+            // The higher the revs when the clutch bites, the harder the kick
+            const revs = this.drivetrain.rpm / this.drivetrain.redlineRpm;
+            this.clutchKickTimer = this.clutchKickDuration;
+            this.velocity = Math.min(this.velocity + this.clutchKickBoost * revs * this.getTraction(), this.getMaxSpeed());
+            
+            document.dispatchEvent(new CustomEvent('clutchKick', {
+                detail: {
+                    position: this.mesh.position.clone()
+                }
+            }));
+        }
+    }
+    
+    // Engine RPM and gear changes - X / Z shift up / down with the manual gearbox
+    updateDrivetrain(keys, deltaTime) {
+        const drivetrain = this.drivetrain;
+        
+        if (!drivetrain.isAutomatic) {
+            if (keys.x && !this.shiftUpHeld) drivetrain.shiftUp();
+            if (keys.z && !this.shiftDownHeld) drivetrain.shiftDown();
+        }
+        this.shiftUpHeld = keys.x;
+        this.shiftDownHeld = keys.z;
+        
+        // Driven wheels spin faster than the road while the rear is sliding on throttle
+        const throttle = (keys.arrowUp || keys.w) ? 1 : 0;
+        this.wheelspin = throttle && this.isDrifting ? Math.min(0.4, Math.abs(this.rearSlipAngle)) : 0;
+        
+        drivetrain.update(deltaTime, this.velocity, throttle, this.isClutchIn, this.wheelspin);
+    }
+    
+    setManualGearbox(enabled) {
+        this.drivetrain.isAutomatic = !enabled;
+    }
+    
+    // Rear grip scale for the tire model from the drift button, handbrake and clutch kicks
+    getRearGripScale() {
+        let scale = this.classicControls && this.isDrifting ? this.tires.driftRearGrip : 1;
+        
+        // Rearward brake bias locks the rear first
+        if (this.isFootBraking) {
+            const rearBias = this.stockBrakeBias - this.brakeBias;
+            scale *= 1 - Math.max(0, rearBias) * this.brakeLockupGripLoss;
+        }
+        
+        if (this.isHandbrakeOn) {
+            scale *= this.tires.handbrakeRearGrip;
+        }
+        if (this.clutchKickTimer > 0) {
+            scale *= this.tires.clutchKickRearGrip;
+        }
+        
+        return scale;
+    }
+    
+    // Front grip scale for the tire model - forward brake bias locks the fronts first
+    getFrontGripScale() {
+        if (!this.isFootBraking) return 1;
+        
+        const frontBias = this.brakeBias - this.stockBrakeBias;
+        return 1 - Math.max(0, frontBias) * this.brakeLockupGripLoss;
+    }
+    
+    setClassicControls(enabled) {
+        this.classicControls = enabled;
+        this.isDrifting = false;
+        this.isTireModelActive = false;
+    }
+    
+    // Share of engine force the driven rear wheels can put down on the current surface
+    getTraction() {
+        return Math.min(1, this.rearSurfaceGrip);
+    }
+    
+    // Share of brake force all four wheels can put down on the current surface
+    getBrakeGrip() {
+        return Math.min(1, (this.frontSurfaceGrip + this.rearSurfaceGrip) / 2);
     }
     
     calculateSteeringFactor() {
@@ -629,38 +1269,41 @@ export class Car {
         return 1.0;
     }
     
-    updateBrakeLights() {
-        if (this.brakeLights.length === 0) return;
-        
-        this.brakeLights.forEach(light => {
-            if (!light) return;
-            
-            if (light.material) {
-                if (this.isBraking) {
-                    // Turn brake lights on - bright red
-                    light.material.emissive = new THREE.Color(0xff0000);
-                    light.material.emissiveIntensity = 1.0;
-                } else {
-                    // Turn brake lights off
-                    if (light.material._originalEmissive) {
-                        light.material.emissive = light.material._originalEmissive.clone();
-                    } else {
-                        light.material.emissive = new THREE.Color(0x000000);
-                    }
-                    light.material.emissiveIntensity = 0.0;
-                }
-            }
+    updateLights() {
+        // Tail lights glow dimly with the headlights on and brightly under braking
+        const tailGlow = this.headlightsOn ? 0.3 : 0;
+        this.setLampGlow(this.brakeLights, 0xff0000, this.isBraking ? 1.0 : tailGlow);
+        this.setLampGlow(this.headLamps, 0xfff4e0, this.headlightsOn ? 1.0 : 0);
+        this.setLampGlow(this.reverseLights, 0xffffff, this.velocity < -0.1 ? 1.0 : 0);
+        
+        // Dimmed rather than hidden, so switching doesn't recompile every lit material
+        this.headlights.forEach(spot => {
+            spot.intensity = this.headlightsOn ? this.headlightIntensity : 0;
         });
     }
     
+    setLampGlow(lamps, color, intensity) {
+        lamps.forEach(lamp => {
+            lamp.material.emissive.setHex(intensity > 0 ? color : 0x000000);
+            lamp.material.emissiveIntensity = intensity;
+        });
+    }
+    
+    // Flames key off the engine - hard acceleration in the power band, upshift pops and limiter bounces
+    shouldShowExhaustFlames() {
+        const drivetrain = this.drivetrain;
+        const isPopping = drivetrain.isLimiting || drivetrain.shiftPopTimer > 0;
+        return isPopping || (this.isAccelerating && this.velocity > 5 && drivetrain.isInPowerBand());
+    }
+    
     updateExhaustFlames(deltaTime) {
         if (this.exhaustFlames.length === 0) return;
         
         this.exhaustFlames.forEach(flame => {
             if (!flame) return;
             
-            if (this.isAccelerating && this.velocity > 5) {
-                // Show flames when accelerating hard
+            if (this.shouldShowExhaustFlames()) {
+                // Show flames when accelerating hard, on upshifts and off the limiter
                 flame.visible = true;
                 
                 // Randomize flame size for effect
@@ -679,8 +1322,8 @@ export class Car {
     }
     
     triggerCrash() {
-        // Already collided, don't process again
-        if (this.isCollided) return;
+        // Already collided or wrecked, don't process again
+        if (this.isCollided || this.isWrecked) return;
         
         // Set collision state
         this.isCollided = true;
@@ -709,12 +1352,170 @@ export class Car {
         // Reduce speed significantly on crash
         this.velocity *= 0.2;
         
-        // Stop the drift effect
-        this.isDrifting = false;
-        this.driftEffect.stopDrift();
+        // The drift in progress and the chain are lost - logged as a crash by the score engine
+        this.breakDriftChain();
         
         // Show recovery message
         this.showRecoveryMessage();
+        
+        document.dispatchEvent(new CustomEvent('carCrashed', {
+            detail: {
+                position: this.mesh.position.clone()
+            }
+        }));
+    }
+    
+    // Top speed after front and rear damage
+    getMaxSpeed() {
+        return this.maxSpeed * this.damage.getTopSpeedFactor();
+    }
+    
+    // Damage the side of the car facing a collider. normal points from the collider toward the car.
+    applyDamage(normal, impactSpeed) {
+        if (this.isWrecked) return;
+        
+        // Direction the hit came from, in the car's local space
+        const hitDirection = normal.clone().negate().applyAxisAngle(new THREE.Vector3(0, 1, 0), -this.mesh.rotation.y);
+        const hit = this.damage.applyImpact(hitDirection, impactSpeed);
+        if (!hit) return;
+        
+        if (!this.isCollided) {
+            this.updateDamageAppearance();
+        }
+        
+        document.dispatchEvent(new CustomEvent('carDamaged', {
+            detail: {
+                zone: hit.zone,
+                amount: hit.amount,
+                zones: { ...this.damage.zones },
+                total: this.damage.getTotalDamage()
+            }
+        }));
+        
+        if (this.hardcoreMode && this.damage.isWrecked()) {
+            this.wreck();
+        }
+    }
+    
+    // Hardcore mode - the car is written off and the run is over
+    wreck() {
+        this.isWrecked = true;
+        this.velocity = 0;
+        this.velocityVector.set(0, 0, 0);
+        this.yawRate = 0;
+        this.isNitroActive = false;
+        this.cleanupNitroParticles();
+        this.isDrifting = false;
+        this.driftEffect.stopDrift();
+        this.removeDriftPointsText();
+        this.sparkEffect.emit(this.mesh.position.clone(), new THREE.Vector3(0, 1, 0), 2);
+        
+        document.dispatchEvent(new CustomEvent('carWrecked', {
+            detail: {
+                zones: { ...this.damage.zones },
+                position: this.mesh.position.clone()
+            }
+        }));
+    }
+    
+    setHardcoreMode(enabled) {
+        this.hardcoreMode = enabled;
+    }
+    
+    setLivery(livery) {
+        this.livery = normalizeLivery(livery);
+        this.paintBody();
+        this.driftEffect.setSmokeColor(this.livery.smokeColor);
+    }
+    
+    // Paint the model (or placeholder) with the livery, then take the result as the undamaged colors
+    paintBody() {
+        const body = this.car || this.placeholder;
+        if (!body) return;
+        
+        // Undo the damage darkening first so it isn't baked into the new base colors
+        this.baseColors.forEach(({ material, color }) => material.color.copy(color));
+        
+        const paint = this.car ? this.vehicle.paint : { body: [this.placeholder.name], rims: [] };
+        paintModel(body, paint, this.livery);
+        this.captureBaseColors(body);
+    }
+    
+    // Remember the undamaged body colors so damage can darken them
+    captureBaseColors(object) {
+        this.baseColors = [];
+        object.traverse((node) => {
+            if (node.isMesh && node.material && node.material.color) {
+                this.baseColors.push({ material: node.material, color: node.material.color.clone() });
+            }
+        });
+        this.updateDamageAppearance();
+    }
+    
+    // The more damaged the car, the darker the body
+    updateDamageAppearance() {
+        const darkness = this.damage.getTotalDamage() * this.damageDarkening;
+        this.baseColors.forEach(({ material, color }) => {
+            material.color.copy(color).multiplyScalar(1 - darkness);
+        });
+    }
+    
+    repair() {
+        this.damage.reset();
+        this.isWrecked = false;
+        this.updateDamageAppearance();
+    }
+    
+    // Light contact with a wall - sparks and keep going
+    onWallScrape(contactPoint, normal, impactSpeed) {
+        const intensity = Math.min(1, 0.2 + Math.abs(this.velocity) / this.maxSpeed);
+        this.sparkEffect.emit(contactPoint, normal, intensity);
+    }
+    
+    // Medium hit - bounce, sparks and the drift chain is broken
+    onImpact(contactPoint, normal, impactSpeed) {
+        this.sparkEffect.emit(contactPoint, normal, 1.5);
+        this.breakDriftChain();
+    }
+    
+    // Signed angle between where the car points and where it's going
+    getDriftAngle() {
+        const speed = this.velocityVector.length();
+        if (speed < 1) return 0;
+        
+        const heading = this.mesh.rotation.y;
+        const forward = -Math.sin(heading) * this.velocityVector.x - Math.cos(heading) * this.velocityVector.z;
+        const left = -Math.cos(heading) * this.velocityVector.x + Math.sin(heading) * this.velocityVector.z;
+        return Math.atan2(left, forward);
+    }
+    
+    // Drift angle as scored - past 90 degrees the car is spinning out, which earns nothing
+    getScoringAngle() {
+        const angle = Math.abs(this.driftAngle);
+        return angle <= Math.PI / 2 ? angle : 0;
+    }
+    
+    getDriftAngleDegrees() {
+        return Math.round(THREE.MathUtils.radToDeg(Math.abs(this.driftAngle)));
+    }
+    
+    // Throw away the current drift and reset the chain multiplier
+    breakDriftChain() {
+        const lostPoints = this.scoreEngine.crash();
+        
+        this.isDrifting = false;
+        this.driftDuration = 0;
+        this.driftIntensity = 0;
+        this.driftPointsMultiplier = 1.0;
+        this.removeDriftPointsText();
+        this.driftEffect.stopDrift();
+        
+        document.dispatchEvent(new CustomEvent('driftChainBroken', {
+            detail: {
+                lostPoints: lostPoints,
+                position: this.mesh.position.clone()
+            }
+        }));
     }
     
     // Restore car colors after recovery
@@ -734,14 +1535,8 @@ export class Car {
     
     // Auto-revive after collision
     revive() {
-        // Move the car a slight distance away from the collision point
-        const forward = new THREE.Vector3(0, 0, -1).applyAxisAngle(new THREE.Vector3(0, 1, 0), this.mesh.rotation.y);
-        this.mesh.position.sub(forward.multiplyScalar(3)); // Back up a bit from obstacle
-        
-        // Reset physics state
-        this.velocity = 0;
-        this.velocityVector.set(0, 0, 0);
-        this.isDrifting = false;
+        // Back on the last safe spot rather than next to whatever was hit
+        this.respawn();
         
         // Restore original car colors
         this.restoreCarColors();
@@ -755,27 +1550,46 @@ export class Car {
         this.cleanupNitroParticles();
         
         // Subtract points for death
-        if (this.gameState) {
-            const deathPenalty = -35;
-            this.gameState.addScore(deathPenalty);
-            console.log(`Death penalty applied: ${deathPenalty} points, Total: ${this.gameState.score}`);
-            
-            // Update total score for events
-            this.totalScore += deathPenalty;
-            
-            // Dispatch a score update event
-            document.dispatchEvent(new CustomEvent('scoreUpdate', {
-                detail: {
-                    score: this.totalScore,
-                    multiplier: 1.0
-                }
-            }));
-            
-            // Show death penalty message
-            this.showDeathPenaltyMessage(Math.abs(deathPenalty));
+        if (this.crashPenalty > 0 && this.scoreEngine.addEvent('penalty', -this.crashPenalty, { reason: 'crash' })) {
+            this.showDeathPenaltyMessage(this.crashPenalty);
         }
     }
     
+    // Put the car down, stopped, on the last safe spot (see RespawnTracker) - after a heavy
+    // crash, out of bounds or on the reset key. Damage stays.
+    respawn() {
+        const point = this.respawnTracker.takeRespawnPoint();
+        this.mesh.position.copy(point.position);
+        this.mesh.rotation.y = point.rotation;
+        
+        // Reset physics state
+        this.velocity = 0;
+        this.velocityVector.set(0, 0, 0);
+        this.lastVelocityVector.set(0, 0, 0);
+        this.yawRate = 0;
+        this.verticalVelocity = 0;
+        this.isAirborne = false;
+        this.airTime = 0;
+        this.isDrifting = false;
+        this.driftDuration = 0;
+        this.driftIntensity = 0;
+        this.driftAngle = 0;
+        this.steeringAngle = 0;
+        this.frontWheelAngle = 0;
+        this.frontSlipAngle = 0;
+        this.rearSlipAngle = 0;
+        this.bodyRoll = 0;
+        this.bodyPitch = 0;
+        
+        // The drift in progress doesn't come along
+        this.scoreEngine.cancelDrift();
+        this.removeDriftPointsText();
+        this.driftEffect.stopDrift();
+        
+        // Don't interpolate the teleport
+        this.storePreviousTransform();
+    }
+    
     // Show death penalty message
     showDeathPenaltyMessage(penalty) {
         // Create a div for the death penalty message
@@ -867,7 +1681,10 @@ export class Car {
     }
     
     // Create nitro visual effect
-    updateNitroEffect(isActive) {
+    updateNitroEffect(isActive, deltaTime) {
+        // Spawn chances below are tuned per 60fps frame
+        const frameScale = deltaTime * 60;
+        
         // Update exhaust flames for nitro effect
         this.exhaustFlames.forEach(flame => {
             if (!flame) return;
@@ -891,7 +1708,7 @@ export class Car {
                 }
                 
                 // Create MANY more trail particles for nitro effect (70% chance per frame instead of 30%)
-                if (Math.random() > 0.3) {
+                if (Math.random() < 0.7 * frameScale) {
                     // Create multiple particles per frame for denser effect
                     for (let i = 0; i < 3; i++) {
                         this.createNitroTrailParticle(flame.position.clone());
@@ -899,10 +1716,10 @@ export class Car {
                 }
                 
                 // Create extra "speed lines" particle effect
-                if (Math.random() > 0.6) {
+                if (Math.random() < 0.4 * frameScale) {
                     this.createNitroSpeedLine();
                 }
-            } else if (this.isAccelerating && this.velocity > 5) {
+            } else if (this.shouldShowExhaustFlames()) {
                 // Regular acceleration flames (orange)
                 flame.visible = true;
                 
@@ -924,7 +1741,7 @@ export class Car {
         });
         
         // Update existing nitro trail particles
-        this.updateNitroTrailParticles();
+        this.updateNitroTrailParticles(deltaTime);
         
         // Add camera effect for nitro
         this.updateNitroCameraEffect(isActive);
@@ -1022,15 +1839,15 @@ export class Car {
     }
     
     // Update nitro trail particles
-    updateNitroTrailParticles() {
+    updateNitroTrailParticles(deltaTime) {
         if (!this.nitroParticles) return;
         
         // Process each particle
         for (let i = this.nitroParticles.length - 1; i >= 0; i--) {
             const particle = this.nitroParticles[i];
             
-            // Reduce lifetime
-            particle.lifetime -= 0.05;
+            // Reduce lifetime (0.05 per frame at 60fps)
+            particle.lifetime -= 3.0 * deltaTime;
             
             // Fade out and expand
             if (particle.mesh) {
@@ -1146,7 +1963,7 @@ export class Car {
         if (!this.driftPointsText) return;
         
         // Update text content with points and multiplier
-        this.driftPointsText.textContent = `${points} × ${this.driftPointsMultiplier.toFixed(1)}`;
+        this.driftPointsText.textContent = `${points} × ${this.driftPointsMultiplier.toFixed(1)} · ${this.getDriftAngleDegrees()}°`;
         
         // Make sure we have camera access
         if (!this.camera) {
@@ -1199,6 +2016,37 @@ export class Car {
         }
     }
     
+    // Remember the transform at the start of a simulation step
+    storePreviousTransform() {
+        this.previousPosition.copy(this.mesh.position);
+        this.previousRotation = this.mesh.rotation.y;
+    }
+    
+    // Show the car between the previous and current simulation step for smooth rendering
+    applyRenderInterpolation(alpha) {
+        this.physicsPosition.copy(this.mesh.position);
+        this.physicsRotation = this.mesh.rotation.y;
+        this.isInterpolated = true;
+        
+        this.mesh.position.lerpVectors(this.previousPosition, this.physicsPosition, alpha);
+        this.mesh.rotation.y = THREE.MathUtils.lerp(this.previousRotation, this.physicsRotation, alpha);
+    }
+    
+    // Undo applyRenderInterpolation so the simulation continues from the exact state
+    restorePhysicsTransform() {
+        if (!this.isInterpolated) return;
+        
+        this.mesh.position.copy(this.physicsPosition);
+        this.mesh.rotation.y = this.physicsRotation;
+        this.isInterpolated = false;
+    }
+    
+    // Where restart() puts the car
+    setStartPosition(position, rotation) {
+        this.initialPosition.copy(position);
+        this.initialRotation = rotation;
+    }
+    
     // Restart the car to its initial position
     restart() {
         // Reset position and rotation
@@ -1208,32 +2056,56 @@ export class Car {
         // Reset physics state
         this.velocity = 0;
         this.velocityVector.set(0, 0, 0);
+        this.yawRate = 0;
+        this.verticalVelocity = 0;
+        this.isAirborne = false;
+        this.airTime = 0;
+        this.suspensionCompression = 0;
         this.isDrifting = false;
         this.isAccelerating = false;
         this.isBraking = false;
+        this.isHandbrakeOn = false;
+        this.isClutchIn = false;
+        this.clutchKickTimer = 0;
+        this.drivetrain.reset();
         this.steeringAngle = 0;
+        this.frontWheelAngle = 0;
+        this.wheelspin = 0;
+        this.bodyRoll = 0;
+        this.bodyPitch = 0;
+        this.lastVelocityVector.set(0, 0, 0);
+        this.frontSlipAngle = 0;
+        this.rearSlipAngle = 0;
         this.driftDuration = 0;
         this.driftIntensity = 0;
+        this.driftAngle = 0;
         
         // Reset nitro
         this.currentNitro = this.nitroAmount;
         this.isNitroActive = false;
         
-        // Reset scores
-        this.activeDriftPoints = 0;
+        // Drop the drift in progress
+        this.scoreEngine.cancelDrift();
         this.removeDriftPointsText();
         
         // Restore original car colors
         this.restoreCarColors();
         
-        // Reset collision state
+        // Reset collision state and repair the car
         this.isCollided = false;
         this.collisionTimer = 0;
+        this.repair();
         
         // Reset drift effects
         this.driftEffect.stopDrift();
         
         // Clean up any remaining nitro particles
         this.cleanupNitroParticles();
+        this.sparkEffect.clear();
+        
+        // Don't interpolate the teleport
+        this.storePreviousTransform();
+        
+        document.dispatchEvent(new CustomEvent('carRestarted'));
     }
 } 
\ No newline at end of file
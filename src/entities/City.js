@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getSurfaceType } from '../core/Surfaces.js';
 
 export class City {
     constructor(scene) {
@@ -10,9 +11,30 @@ export class City {
         this.colliders = []; // For collision detection
         this.obstacles = []; // Special obstacles
         this.walls = []; // Boundary walls
+        this.ramps = []; // Jump ramps (driveable, not colliders)
+        this.surfaces = []; // Everything the car can drive on, for ground height and surface queries
+        this.surfaceZones = []; // Painted low-grip areas, see addSurfaceZone
+        this.clipPoints = []; // Judged clipping points, see addClipPoint
+        this.outerZones = []; // Judged outer zones, see addOuterZone
+        this.circleMarkers = []; // Centers of the circles, for donuts - { position, radius }
+        this.figureEights = []; // Loop centers of each figure-8 - { centers, radius }
+        this.startingGrid = null; // Checkered area at the start - { position, width, length }
+        this.circuit = null; // Lap of checkpoint gates driven in order, see createCircuit
+        this.ground = null;
+        
+        // Colors used when painting surface zones
+        this.surfaceZoneColors = {
+            asphalt: 0x444444,
+            paint: 0xffffff,
+            gravel: 0x8a7656,
+            ice: 0xbfe3ff
+        };
         
         // Generate initial track
         this.generateTrack();
+        
+        // Make sure world matrices are ready for physics queries before the first render
+        this.scene.updateMatrixWorld(true);
     }
     
     generateTrack() {
@@ -72,6 +94,8 @@ export class City {
         ground.receiveShadow = true;
         
         this.scene.add(ground);
+        this.ground = ground;
+        this.addSurface(ground, 'asphalt');
     }
     
     createBoundaryWalls() {
@@ -104,6 +128,9 @@ export class City {
             wall.castShadow = true;
             wall.receiveShadow = true;
             
+            // Boundary walls stop the car even when it's airborne above them
+            wall.userData.isBoundary = true;
+            
             this.scene.add(wall);
             this.walls.push(wall);
             this.colliders.push(wall);
@@ -185,10 +212,12 @@ export class City {
         
         this.scene.add(track);
         this.roads.push(track);
+        this.addSurface(track, 'asphalt');
         
-        // Add center markers for the circles
-        this.addCircleMarker(circle1Center.x, circle1Center.y, 1);
-        this.addCircleMarker(circle2Center.x, circle2Center.y, 1);
+        // Add center markers for the circles - clipping points for the inner edge
+        this.addCircleMarker(circle1Center.x, circle1Center.y, 1, innerRadius, radius);
+        this.addCircleMarker(circle2Center.x, circle2Center.y, 1, innerRadius, radius);
+        this.figureEights.push({ centers: [circle1Center, circle2Center], radius });
     }
     
     createDriftCircle(x, z, radius, material) {
@@ -196,12 +225,13 @@ export class City {
         const outerRadius = radius;
         const innerRadius = radius * 0.6;
         
+        // Shape Y becomes world -Z once the track is laid flat
         const path = new THREE.Shape();
-        path.absarc(x, z, outerRadius, 0, 2 * Math.PI, false);
+        path.absarc(x, -z, outerRadius, 0, 2 * Math.PI, false);
         
         // Inner edge (hole)
         const hole = new THREE.Path();
-        hole.absarc(x, z, innerRadius, 0, 2 * Math.PI, true);
+        hole.absarc(x, -z, innerRadius, 0, 2 * Math.PI, true);
         path.holes.push(hole);
         
         const geometry = new THREE.ShapeGeometry(path, 50);
@@ -212,12 +242,13 @@ export class City {
         
         this.scene.add(track);
         this.roads.push(track);
+        this.addSurface(track, 'asphalt');
         
-        // Add center marker
-        this.addCircleMarker(x, z, 1);
+        // Add center marker - a clipping point for the inner edge
+        this.addCircleMarker(x, z, 1, innerRadius, outerRadius);
     }
     
-    addCircleMarker(x, z, radius) {
+    addCircleMarker(x, z, radius, innerEdgeRadius, outerEdgeRadius) {
         // Add a small marker in the center of a circle/curve
         const markerGeometry = new THREE.CylinderGeometry(radius, radius, 0.2, 16);
         const markerMaterial = new THREE.MeshStandardMaterial({
@@ -233,6 +264,8 @@ export class City {
         marker.receiveShadow = true;
         
         this.scene.add(marker);
+        this.addClipPoint({x, z, radius: innerEdgeRadius + 4, perfectRadius: innerEdgeRadius + 1});
+        this.circleMarkers.push({ position: new THREE.Vector2(x, z), radius: outerEdgeRadius + 3 });
     }
     
     createBankedCurve(x, z, angle, radius, width) {
@@ -275,12 +308,12 @@ export class City {
                 1, t   // Outer vertex
             );
             
-            // Add faces (two triangles per segment)
+            // Add faces (two triangles per segment, wound so the road faces up)
             if (i < segments) {
                 const baseIndex = i * 2;
                 indices.push(
-                    baseIndex, baseIndex + 1, baseIndex + 2,
-                    baseIndex + 1, baseIndex + 3, baseIndex + 2
+                    baseIndex, baseIndex + 2, baseIndex + 1,
+                    baseIndex + 1, baseIndex + 2, baseIndex + 3
                 );
             }
         }
@@ -302,6 +335,7 @@ export class City {
         
         this.scene.add(curvedRoad);
         this.roads.push(curvedRoad);
+        this.addSurface(curvedRoad, 'asphalt');
     }
     
     createTrackObstacles() {
@@ -342,6 +376,7 @@ export class City {
             this.scene.add(cone);
             this.obstacles.push(cone);
             this.colliders.push(cone);
+            this.addClipPoint({x: pos.x, z: pos.z, radius: 4, perfectRadius: 2});
         });
     }
     
@@ -354,16 +389,17 @@ export class City {
         // Create ramp geometry
         const rampGeometry = new THREE.BoxGeometry(rampWidth, rampHeight, rampLength);
         
-        // Position vertices to create slope
+        // Position vertices to create slope - the top edge facing the track center
+        // drops to the ground so the car can drive up it, the far edge is the lip
         const positionAttribute = rampGeometry.getAttribute('position');
         
         for (let i = 0; i < positionAttribute.count; i++) {
             const y = positionAttribute.getY(i);
             const z = positionAttribute.getZ(i);
             
-            if (z > 0) {
-                // Raise the back of the ramp
-                positionAttribute.setY(i, y + rampHeight);
+            if (z > 0 && y > 0) {
+                // Lower the front of the ramp to the ground
+                positionAttribute.setY(i, -rampHeight / 2);
             }
         }
         
@@ -376,10 +412,10 @@ export class City {
             metalness: 0.7
         });
         
-        // Create symmetrical ramps on both sides
+        // Create symmetrical ramps on both sides, with room to land before the wall
         const rampPositions = [
-            {x: -30, z: -70},
-            {x: 30, z: -70}
+            {x: -25, z: -55},
+            {x: 25, z: -55}
         ];
         
         rampPositions.forEach(pos => {
@@ -390,7 +426,8 @@ export class City {
             
             this.scene.add(ramp);
             this.obstacles.push(ramp);
-            this.colliders.push(ramp);
+            this.ramps.push(ramp);
+            this.addSurface(ramp, 'asphalt');
         });
     }
     
@@ -398,6 +435,92 @@ export class City {
         // Add drift track markings and decorations
         this.createTrackLines();
         this.createStartingGrid();
+        this.createCircuit();
+        this.createSurfaceZones();
+        this.createOuterZones();
+    }
+    
+    createOuterZones() {
+        // Outer edge of the figure-8 loops
+        this.addOuterZone({x: -33, z: 0, width: 3.5, length: 10});
+        this.addOuterZone({x: 33, z: 0, width: 3.5, length: 10});
+        
+        // Outer edge of the drift circles, on the side facing the arena
+        this.addOuterZone({x: -60, z: -37, width: 10, length: 3.5});
+        this.addOuterZone({x: 60, z: -37, width: 10, length: 3.5});
+    }
+    
+    // A post the car should pass close to while sideways. Passing inside radius scores,
+    // inside perfectRadius scores the full points.
+    addClipPoint({x, z, radius, perfectRadius, points = 150}) {
+        const clipPoint = { position: new THREE.Vector2(x, z), radius, perfectRadius, points };
+        this.clipPoints.push(clipPoint);
+        return clipPoint;
+    }
+    
+    // A painted rectangle near the outside of a corner that scores when the car drifts through it.
+    // Judging only - it doesn't change the surface underneath.
+    addOuterZone({x, z, width, length, rotation = 0, points = 100}) {
+        const zoneGeometry = new THREE.PlaneGeometry(width, length);
+        const zoneMaterial = new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            roughness: 0.6,
+            transparent: true,
+            opacity: 0.25
+        });
+        
+        const mesh = new THREE.Mesh(zoneGeometry, zoneMaterial);
+        mesh.rotation.x = -Math.PI / 2; // Lay flat
+        mesh.rotation.z = rotation;
+        mesh.position.set(x, 0.028, z); // Above the surface zones, below the painted lines
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
+        
+        const outerZone = { position: new THREE.Vector2(x, z), width, length, rotation, points, mesh };
+        this.outerZones.push(outerZone);
+        return outerZone;
+    }
+    
+    createSurfaceZones() {
+        // Gravel run-off beyond the outer edge of the drift circles
+        this.addSurfaceZone({x: -92, z: -60, width: 12, length: 50, surface: 'gravel'});
+        this.addSurfaceZone({x: 92, z: -60, width: 12, length: 50, surface: 'gravel'});
+        
+        // Slippery technical section between the ramps
+        this.addSurfaceZone({x: 0, z: -45, width: 16, length: 12, surface: 'ice'});
+    }
+    
+    // Tag a mesh with a surface type and make it driveable
+    addSurface(mesh, surfaceName) {
+        mesh.userData.surface = getSurfaceType(surfaceName).name;
+        this.surfaces.push(mesh);
+    }
+    
+    // Paint a flat rectangular patch of a surface type onto the track.
+    // Use this to lay gravel traps, ice sections or other low-grip areas.
+    addSurfaceZone({x, z, width, length, rotation = 0, surface}) {
+        const surfaceType = getSurfaceType(surface);
+        
+        const zoneGeometry = new THREE.PlaneGeometry(width, length);
+        const zoneMaterial = new THREE.MeshStandardMaterial({
+            color: this.surfaceZoneColors[surfaceType.name] || 0x444444,
+            roughness: surfaceType.grip < 0.5 ? 0.1 : 0.9,
+            metalness: surfaceType.grip < 0.5 ? 0.3 : 0.0,
+            transparent: true,
+            opacity: 0.85
+        });
+        
+        const zone = new THREE.Mesh(zoneGeometry, zoneMaterial);
+        zone.rotation.x = -Math.PI / 2; // Lay flat
+        zone.rotation.z = rotation;
+        zone.position.set(x, 0.025, z); // Above the tracks, below the painted lines
+        zone.receiveShadow = true;
+        
+        this.scene.add(zone);
+        this.surfaceZones.push(zone);
+        this.addSurface(zone, surfaceType.name);
+        
+        return zone;
     }
     
     createTrackLines() {
@@ -436,6 +559,7 @@ export class City {
             lineMesh.receiveShadow = true;
             
             this.scene.add(lineMesh);
+            this.addSurface(lineMesh, 'paint');
         });
     }
     
@@ -444,6 +568,7 @@ export class City {
         const gridWidth = 15;
         const gridLength = 8;
         const tileSize = 1;
+        this.startingGrid = { position: new THREE.Vector2(20, 80 + gridLength / 2), width: gridWidth, length: gridLength };
         
         const whiteMaterial = new THREE.MeshStandardMaterial({
             color: 0xffffff,
@@ -476,10 +601,70 @@ export class City {
                 tile.receiveShadow = true;
                 
                 this.scene.add(tile);
+                this.addSurface(tile, 'paint');
             }
         }
     }
     
+    // The lap: off the grid and up the right side of the figure-8, round both loops, out to the
+    // right banked curve and back along the bottom of the arena to the start line. The first
+    // checkpoint is the start/finish line.
+    createCircuit() {
+        this.circuit = {
+            id: 'figureEight',
+            name: 'Figure Eight',
+            parLapTime: 45, // Seconds for a lap worth the base lap bonus
+            checkpoints: []
+        };
+        
+        // The start line is already painted
+        this.addCheckpoint({x: 0, z: 80, width: 50, label: 'START', painted: false});
+        this.addCheckpoint({x: 37, z: 0, width: 15, label: 'RIGHT LOOP'});
+        this.addCheckpoint({x: -37, z: 0, width: 15, label: 'LEFT LOOP'});
+        this.addCheckpoint({x: 77.7, z: 77.7, width: 19, rotation: Math.PI * 3 / 4, label: 'BANKED CURVE'});
+    }
+    
+    // A gate across the track, width wide, that the car has to drive through facing rotation
+    // (the car's own heading convention - 0 is up the track, toward -z)
+    addCheckpoint({x, z, width, rotation = 0, label, painted = true}) {
+        const direction = new THREE.Vector2(-Math.sin(rotation), -Math.cos(rotation));
+        
+        if (painted) {
+            const stripGeometry = new THREE.PlaneGeometry(width, 0.5);
+            const stripMaterial = new THREE.MeshStandardMaterial({
+                color: 0xffcc00,
+                roughness: 0.5,
+                transparent: true,
+                opacity: 0.35
+            });
+            
+            const strip = new THREE.Mesh(stripGeometry, stripMaterial);
+            strip.rotation.x = -Math.PI / 2; // Lay flat
+            strip.rotation.z = rotation;
+            strip.position.set(x, 0.029, z); // Just under the painted lines - markings only, not a surface
+            this.scene.add(strip);
+        }
+        
+        const checkpoint = { position: new THREE.Vector2(x, z), width, rotation, direction, label };
+        this.circuit.checkpoints.push(checkpoint);
+        return checkpoint;
+    }
+    
+    // Inside the boundary walls
+    isInBounds(position) {
+        const limit = this.trackSize / 2;
+        return Math.abs(position.x) <= limit && Math.abs(position.z) <= limit;
+    }
+    
+    // Where the car waits for the start - in the middle of the grid, facing up the track
+    getStartingSlot() {
+        const grid = this.startingGrid;
+        return {
+            position: new THREE.Vector3(grid.position.x, 0, grid.position.y),
+            rotation: 0
+        };
+    }
+    
     update(playerPosition) {
         // No dynamic updates needed for now
     }
@@ -5,8 +5,25 @@ import { City } from './entities/City.js';
 import { InputHandler } from './core/InputHandler.js';
 import { Physics } from './core/Physics.js';
 import { GameState } from './core/GameState.js';
+import { FixedTimestep } from './core/FixedTimestep.js';
+import { DAMAGE_ZONES } from './core/DamageModel.js';
+import { ZoneJudge } from './core/ZoneJudge.js';
+import { ScoreEngine } from './core/ScoreEngine.js';
+import { TrickDetector, TRICKS } from './core/TrickDetector.js';
+import { ProximityScorer } from './core/ProximityScorer.js';
+import { GAME_MODES, createGameMode, getModeLabel } from './core/GameModes.js';
+import { GameFlow, FLOW_STATES } from './core/GameFlow.js';
+import { LaunchControl } from './core/LaunchControl.js';
+import { LapTracker, formatLapTime, formatDelta } from './core/LapTracker.js';
+import { RespawnTracker } from './core/RespawnTracker.js';
 import { LeaderboardService } from './services/LeaderboardService.js';
+import { VehicleRegistry } from './services/VehicleRegistry.js';
 import { LeaderboardUI } from './ui/LeaderboardUI.js';
+import { GarageUI } from './ui/GarageUI.js';
+import { TuningUI } from './ui/TuningUI.js';
+import { LiveryUI } from './ui/LiveryUI.js';
+import { TuningPresets } from './services/TuningPresets.js';
+import { LiveryStore } from './services/LiveryStore.js';
 import config from './config.js';
 
 class Game {
@@ -23,10 +40,16 @@ class Game {
         this.renderer = this.setupRenderer();
         this.controls = this.setupControls();
         
-        this.gameState = new GameState();
+        // One score engine that the car, the zone judge and the HUD all share
+        this.scoreEngine = new ScoreEngine();
+        this.gameState = new GameState(this.scoreEngine);
+        this.flow = new GameFlow();
         this.inputHandler = new InputHandler();
         this.physics = new Physics();
         
+        // Fixed-step simulation so physics and scoring don't depend on frame rate
+        this.simulation = new FixedTimestep(120);
+        
         // Create leaderboard service and UI immediately
         this.leaderboardService = new LeaderboardService();
         this.leaderboardUI = new LeaderboardUI(this.leaderboardService);
@@ -57,16 +80,58 @@ class Game {
         
         // Create physics first
         this.city = new City(this.scene);
-        // Then create car
-        this.car = new Car(this.scene, this.physics);
+        this.zoneJudge = new ZoneJudge(this.city);
+        this.trickDetector = new TrickDetector(this.city);
+        this.proximityScorer = new ProximityScorer(this.city, this.physics);
+        this.launchControl = new LaunchControl();
+        this.lapTracker = new LapTracker(this.city.circuit);
+        this.respawnTracker = new RespawnTracker(this.city, this.physics);
+        // Then create car - the built-in one until the vehicle definitions arrive
+        this.vehicleRegistry = new VehicleRegistry();
+        this.car = new Car(this.scene, this.physics, this.vehicleRegistry.get(this.loadVehicleId()));
+        this.liveryStore = new LiveryStore();
+        this.car.setLivery(this.liveryStore.get(this.car.vehicle.id));
+        this.vehicleLoad = this.vehicleRegistry.load().then(() => {
+            this.car.setVehicle(this.vehicleRegistry.get(this.loadVehicleId()));
+            this.car.setLivery(this.liveryStore.get(this.car.vehicle.id));
+        });
+        
+        // Tuning setup - restored from the last session, changed live from the garage
+        this.tuningPresets = new TuningPresets();
+        this.car.setTuning(this.tuningPresets.getActive());
+        this.tuningUI = new TuningUI(this.tuningPresets, (setup) => {
+            this.car.setTuning(setup);
+            this.tuningPresets.setActive(setup);
+        });
+        this.tuningUI.setSetup(this.car.tuning, false);
+        
+        // Paint is saved per car - repaint the garage preview, and the player's car if it's the one painted
+        this.liveryUI = new LiveryUI(this.liveryStore, (vehicleId, livery) => {
+            this.garageUI.paintPreview(vehicleId);
+            if (vehicleId === this.car.vehicle.id) {
+                this.car.setLivery(livery);
+            }
+        });
+        this.garageUI = new GarageUI(this.renderer, this.vehicleRegistry, this.tuningUI, this.liveryUI);
         
         // Set the camera reference for the car
         this.car.camera = this.camera;
-        // Set GameState reference for score updates
-        this.car.gameState = this.gameState;
+        // Drifts, spins and crashes are scored by the shared engine
+        this.car.scoreEngine = this.scoreEngine;
+        // Crashes, leaving the arena and the reset key put the car back on a safe spot
+        this.car.respawnTracker = this.respawnTracker;
+        // Runs start from the grid
+        const startingSlot = this.city.getStartingSlot();
+        this.car.setStartPosition(startingSlot.position, startingSlot.rotation);
+        this.car.restart();
+        // Restore the player's saved options
+        this.car.setClassicControls(this.loadClassicControls());
+        this.car.setManualGearbox(this.loadManualGearbox());
+        this.car.setHardcoreMode(this.loadHardcoreMode());
+        this.applyGameMode(this.loadGameMode());
+        this.updateControlsHelp();
         
         this.lastTime = 0;
-        this.isRunning = false;
         
         // Player name
         this.playerName = "";
@@ -85,7 +150,7 @@ class Game {
         this.regularCameraDistance = 12; // Normal camera distance
         this.spinTransitionSpeed = 0.1; // How quickly to transition to spin camera
         
-        // For mobile frame rate control
+        // For mobile frame rate control (rendering only - the simulation runs at a fixed rate)
         this.lastFrameTime = 0;
         this.targetFPS = this.isMobileDevice ? 30 : 60; // Lower target FPS on mobile
         this.frameInterval = 1000 / this.targetFPS;
@@ -250,10 +315,68 @@ class Game {
         timerElement.style.marginLeft = '20px';
         timerElement.textContent = 'TIME: 1:00';
         
+        // Create drift score element - what the drift in progress would bank, shown while drifting
+        const driftScoreElement = document.createElement('div');
+        driftScoreElement.id = 'drift-score';
+        driftScoreElement.style.color = '#ffcc00';
+        driftScoreElement.style.fontSize = '18px';
+        driftScoreElement.style.fontWeight = 'bold';
+        driftScoreElement.style.textAlign = 'center';
+        driftScoreElement.style.marginTop = '5px';
+        driftScoreElement.style.display = 'none';
+        
         scoreContainer.appendChild(scoreElement);
         scoreContainer.appendChild(timerElement);
+        scoreContainer.appendChild(driftScoreElement);
         topHUD.appendChild(scoreContainer);
         
+        // Lap timer, personal best and the latest split next to the score
+        const lapContainer = document.createElement('div');
+        lapContainer.id = 'lap-container';
+        lapContainer.style.background = 'rgba(0, 0, 0, 0.6)';
+        lapContainer.style.borderRadius = '10px';
+        lapContainer.style.padding = '10px 20px';
+        lapContainer.style.marginLeft = '20px';
+        lapContainer.style.minWidth = '150px';
+        lapContainer.style.backdropFilter = 'blur(5px)';
+        lapContainer.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.3)';
+        
+        const lapTimeElement = document.createElement('div');
+        lapTimeElement.id = 'lap-time';
+        lapTimeElement.style.color = '#fff';
+        lapTimeElement.style.fontSize = '20px';
+        lapTimeElement.style.fontWeight = 'bold';
+        
+        const lapBestElement = document.createElement('div');
+        lapBestElement.id = 'lap-best';
+        lapBestElement.style.color = '#aaa';
+        lapBestElement.style.fontSize = '14px';
+        
+        const lapSplitElement = document.createElement('div');
+        lapSplitElement.id = 'lap-split';
+        lapSplitElement.style.fontSize = '14px';
+        lapSplitElement.style.fontWeight = 'bold';
+        
+        lapContainer.appendChild(lapTimeElement);
+        lapContainer.appendChild(lapBestElement);
+        lapContainer.appendChild(lapSplitElement);
+        topHUD.appendChild(lapContainer);
+        
+        // Warning for driving the checkpoints backwards
+        const wrongWayElement = document.createElement('div');
+        wrongWayElement.id = 'wrong-way';
+        wrongWayElement.textContent = 'WRONG WAY';
+        wrongWayElement.style.position = 'absolute';
+        wrongWayElement.style.top = '25%';
+        wrongWayElement.style.left = '50%';
+        wrongWayElement.style.transform = 'translateX(-50%)';
+        wrongWayElement.style.color = '#ff3333';
+        wrongWayElement.style.fontSize = '48px';
+        wrongWayElement.style.fontWeight = 'bold';
+        wrongWayElement.style.textShadow = '0 0 15px rgba(255, 0, 0, 0.7)';
+        wrongWayElement.style.display = 'none';
+        uiContainer.appendChild(wrongWayElement);
+        
         // Add leaderboard button
         const leaderboardButton = document.createElement('div');
         leaderboardButton.id = 'leaderboard-button';
@@ -329,6 +452,131 @@ class Game {
         nitroContainer.appendChild(nitroLabel);
         nitroContainer.appendChild(nitroBarBg);
         
+        // Create damage diagram - one panel per zone around the car body, redder as it gets hit
+        const damageContainer = document.createElement('div');
+        damageContainer.id = 'damage-container';
+        damageContainer.style.background = 'rgba(0, 0, 0, 0.6)';
+        damageContainer.style.borderRadius = '10px';
+        damageContainer.style.padding = '10px';
+        damageContainer.style.marginRight = '15px';
+        damageContainer.style.display = 'grid';
+        damageContainer.style.gridTemplateColumns = '6px 20px 6px';
+        damageContainer.style.gridTemplateRows = '6px 30px 6px';
+        damageContainer.style.gap = '3px';
+        damageContainer.style.backdropFilter = 'blur(5px)';
+        damageContainer.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.3)';
+        damageContainer.title = 'Damage';
+        
+        // Grid cell for each zone: [column, row]
+        const damageCells = {
+            front: [2, 1],
+            left: [1, 2],
+            body: [2, 2],
+            right: [3, 2],
+            rear: [2, 3]
+        };
+        Object.entries(damageCells).forEach(([zone, [column, row]]) => {
+            const cell = document.createElement('div');
+            cell.id = `damage-${zone}`;
+            cell.style.gridColumn = `${column}`;
+            cell.style.gridRow = `${row}`;
+            cell.style.borderRadius = '2px';
+            cell.style.background = zone === 'body' ? 'rgba(255, 255, 255, 0.15)' : '#fff';
+            damageContainer.appendChild(cell);
+        });
+        
+        // Create tachometer - gear readout next to an RPM bar that turns red at the redline
+        const tachContainer = document.createElement('div');
+        tachContainer.id = 'tach-container';
+        tachContainer.style.background = 'rgba(0, 0, 0, 0.6)';
+        tachContainer.style.borderRadius = '10px';
+        tachContainer.style.padding = '10px';
+        tachContainer.style.width = '200px';
+        tachContainer.style.marginLeft = '15px';
+        tachContainer.style.display = 'flex';
+        tachContainer.style.alignItems = 'center';
+        tachContainer.style.backdropFilter = 'blur(5px)';
+        tachContainer.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.3)';
+        
+        const gearDisplay = document.createElement('div');
+        gearDisplay.id = 'gear-display';
+        gearDisplay.style.color = '#fff';
+        gearDisplay.style.fontSize = '32px';
+        gearDisplay.style.fontWeight = 'bold';
+        gearDisplay.style.width = '40px';
+        gearDisplay.style.textAlign = 'center';
+        gearDisplay.textContent = '1';
+        
+        const tachRight = document.createElement('div');
+        tachRight.style.flex = '1';
+        tachRight.style.marginLeft = '10px';
+        
+        const tachLabel = document.createElement('div');
+        tachLabel.id = 'tach-label';
+        tachLabel.style.color = '#fff';
+        tachLabel.style.fontSize = '14px';
+        tachLabel.style.marginBottom = '5px';
+        tachLabel.style.letterSpacing = '2px';
+        tachLabel.textContent = 'RPM';
+        
+        const tachBarBg = document.createElement('div');
+        tachBarBg.style.background = 'rgba(255, 255, 255, 0.2)';
+        tachBarBg.style.borderRadius = '5px';
+        tachBarBg.style.height = '15px';
+        tachBarBg.style.overflow = 'hidden';
+        
+        const tachBarFill = document.createElement('div');
+        tachBarFill.id = 'tach-fill';
+        tachBarFill.style.background = '#fff';
+        tachBarFill.style.height = '100%';
+        tachBarFill.style.width = '0%';
+        tachBarFill.style.borderRadius = '5px';
+        
+        // Assemble tachometer elements
+        tachBarBg.appendChild(tachBarFill);
+        tachRight.appendChild(tachLabel);
+        tachRight.appendChild(tachBarBg);
+        tachContainer.appendChild(gearDisplay);
+        tachContainer.appendChild(tachRight);
+        
+        // Create proximity meter - fills as the car body gets close to a wall or cone, glows during close calls
+        const proximityContainer = document.createElement('div');
+        proximityContainer.id = 'proximity-container';
+        proximityContainer.style.background = 'rgba(0, 0, 0, 0.6)';
+        proximityContainer.style.borderRadius = '10px';
+        proximityContainer.style.padding = '10px';
+        proximityContainer.style.width = '150px';
+        proximityContainer.style.marginLeft = '15px';
+        proximityContainer.style.backdropFilter = 'blur(5px)';
+        proximityContainer.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.3)';
+        proximityContainer.style.transition = 'box-shadow 0.2s';
+        
+        const proximityLabel = document.createElement('div');
+        proximityLabel.id = 'proximity-label';
+        proximityLabel.style.color = '#fff';
+        proximityLabel.style.fontSize = '14px';
+        proximityLabel.style.marginBottom = '5px';
+        proximityLabel.style.letterSpacing = '2px';
+        proximityLabel.textContent = 'PROXIMITY';
+        
+        const proximityBarBg = document.createElement('div');
+        proximityBarBg.style.background = 'rgba(255, 255, 255, 0.2)';
+        proximityBarBg.style.borderRadius = '5px';
+        proximityBarBg.style.height = '15px';
+        proximityBarBg.style.overflow = 'hidden';
+        
+        const proximityBarFill = document.createElement('div');
+        proximityBarFill.id = 'proximity-fill';
+        proximityBarFill.style.background = '#fff';
+        proximityBarFill.style.height = '100%';
+        proximityBarFill.style.width = '0%';
+        proximityBarFill.style.borderRadius = '5px';
+        
+        // Assemble proximity elements
+        proximityBarBg.appendChild(proximityBarFill);
+        proximityContainer.appendChild(proximityLabel);
+        proximityContainer.appendChild(proximityBarBg);
+        
         // Add instructions for controls
         const controlsContainer = document.createElement('div');
         controlsContainer.id = 'controls-container';
@@ -350,17 +598,14 @@ class Game {
         controlsContainer.onmouseover = () => { controlsContainer.style.opacity = '1'; };
         controlsContainer.onmouseout = () => { controlsContainer.style.opacity = '0.7'; };
         
-        // Add control instructions
-        controlsContainer.innerHTML = `
-            <div style="font-weight: bold; margin-bottom: 5px;">CONTROLS</div>
-            <div>WASD / Arrows: Drive</div>
-            <div>SPACE: Drift</div>
-            <div>SHIFT: Nitro Boost</div>
-            <div>R: Restart</div>
-        `;
+        // Control instructions are filled in by updateControlsHelp for the active control style
+        this.controlsContainer = controlsContainer;
         
         // Add all UI elements to container
+        bottomHUD.appendChild(damageContainer);
         bottomHUD.appendChild(nitroContainer);
+        bottomHUD.appendChild(tachContainer);
+        bottomHUD.appendChild(proximityContainer);
         uiContainer.appendChild(topHUD);
         uiContainer.appendChild(bottomHUD);
         uiContainer.appendChild(controlsContainer);
@@ -382,24 +627,9 @@ class Game {
         
         // Add event listeners for drift scoring
         document.addEventListener('driftScore', (event) => {
-            const { points, total } = event.detail;
+            const { points } = event.detail;
             
-            // Update score
-            const scoreElement = document.getElementById('score');
-            if (scoreElement) {
-                scoreElement.textContent = `SCORE: ${Math.floor(total)}`;
-                
-                // Add animation effect
-                scoreElement.style.transform = 'scale(1.2)';
-                scoreElement.style.color = '#ffcc00';
-                
-                setTimeout(() => {
-                    scoreElement.style.transform = 'scale(1)';
-                    scoreElement.style.color = '#fff';
-                }, 300);
-            }
-            
-            // Create floating score popup
+            // Create floating score popup - the score itself is updated by updateUI
             if (points > 10) {
                 const popup = document.createElement('div');
                 popup.className = 'score-popup';
@@ -439,9 +669,16 @@ class Game {
     setupEventListeners() {
         window.addEventListener('resize', this.onWindowResize.bind(this));
         
-        window.addEventListener('click', () => {
-            if (!this.isRunning) {
-                this.startGame();
+        // Everything that happens on a change of game state
+        document.addEventListener('gameFlowChange', (event) => {
+            const { from, to, reason } = event.detail;
+            this.onFlowChange(from, to, reason);
+        });
+        
+        // Switching away from the tab pauses the run - the player resumes when they're back
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.flow.isPausable()) {
+                this.flow.pause('hidden');
             }
         });
         
@@ -464,6 +701,11 @@ class Game {
             if (e.code === 'KeyL') {
                 this.leaderboardUI.toggle();
             }
+            
+            // Pause and resume with Escape or P
+            if ((e.code === 'Escape' || e.code === 'KeyP') && !e.repeat) {
+                this.flow.togglePause();
+            }
         });
         
         // Add drift score event listener
@@ -473,6 +715,23 @@ class Game {
             // No need to check for leaderboard qualification since we'll auto-submit at the end
         });
         
+        // In hardcore mode a wrecked car ends the run early
+        document.addEventListener('carWrecked', () => {
+            this.gameState.endRun('wrecked');
+        });
+        
+        // Heavy crashes count toward ending an Endurance run
+        document.addEventListener('carCrashed', () => {
+            this.gameState.recordHeavyCrash();
+        });
+        
+        // Restarting mid lap sends the car back behind the start line - the lap doesn't count,
+        // and safe spots from before the restart are forgotten
+        document.addEventListener('carRestarted', () => {
+            this.lapTracker.abortLap();
+            this.respawnTracker.reset();
+        });
+        
         // Listen for the custom toggleLeaderboard event from mobile controls
         document.addEventListener('toggleLeaderboard', () => {
             this.leaderboardUI.toggle();
@@ -480,15 +739,18 @@ class Game {
         
         // Add game over event listener
         document.addEventListener('gameOver', (event) => {
-            const { finalScore, highScore } = event.detail;
+            const { finalScore, highScore, reason, mode } = event.detail;
+            // The run was left for the menu before its results came in
+            if (!this.flow.transition(FLOW_STATES.RESULTS, reason)) return;
             
             // Show game over message
-            this.showGameOverMessage(finalScore, highScore);
+            this.showGameOverMessage(finalScore, highScore, reason);
             
-            // Automatically submit score to leaderboard
-            if (this.playerName && finalScore > 0) {
+            // Automatically submit score to leaderboard - unranked modes are never submitted
+            if (this.playerName && finalScore > 0 && createGameMode(mode).ranked) {
                 console.log(`Auto-submitting score: ${finalScore} for player: ${this.playerName}`);
-                this.leaderboardService.submitScore(this.playerName, finalScore)
+                const runInfo = { vehicle: this.car.vehicle.id, setup: this.car.tuning, mode: mode };
+                this.leaderboardService.submitScore(this.playerName, finalScore, runInfo)
                     .then(success => {
                         if (success) {
                             console.log("Score submitted successfully");
@@ -506,25 +768,14 @@ class Game {
         
         // Listen for score updates
         document.addEventListener('scoreUpdate', (event) => {
-            const { score, multiplier } = event.detail;
+            const { drift, multiplier } = event.detail;
             
-            // Update score display
-            const scoreElement = document.getElementById('score');
-            if (scoreElement) {
-                // For smoother experience, don't show temporary scores below current displayed value
-                const currentDisplayed = parseInt(scoreElement.textContent.replace('SCORE: ', '')) || 0;
-                if (score > currentDisplayed) {
-                    scoreElement.textContent = `SCORE: ${Math.floor(score)}`;
-                    
-                    // Add brief animation effect
-                    scoreElement.style.transform = 'scale(1.1)';
-                    scoreElement.style.color = '#ffcc00';
-                    
-                    setTimeout(() => {
-                        scoreElement.style.transform = 'scale(1)';
-                        scoreElement.style.color = '#fff';
-                    }, 150);
-                }
+            // The score shows banked points only (updateUI) - the drift in progress gets its own
+            // line, and goes away when it's banked or thrown away by a crash
+            const driftScoreElement = document.getElementById('drift-score');
+            if (driftScoreElement) {
+                driftScoreElement.textContent = `DRIFT: +${drift}`;
+                driftScoreElement.style.display = drift > 0 ? 'block' : 'none';
             }
             
             // Show multiplier if greater than 1
@@ -563,14 +814,299 @@ class Game {
         });
     }
     
-    startGame() {
-        this.isRunning = true;
-        this.gameState.resetScore();
-        document.getElementById('instructions').style.display = 'none';
+    loadVehicleId() {
+        return localStorage.getItem('monodrift_vehicle');
+    }
+    
+    setVehicle(id) {
+        localStorage.setItem('monodrift_vehicle', id);
+        this.car.setVehicle(this.vehicleRegistry.get(id));
+        this.car.setLivery(this.liveryStore.get(this.car.vehicle.id));
+    }
+    
+    loadClassicControls() {
+        return localStorage.getItem('monodrift_classic_controls') === 'true';
+    }
+    
+    setClassicControls(enabled) {
+        localStorage.setItem('monodrift_classic_controls', enabled.toString());
+        this.car.setClassicControls(enabled);
+        this.updateControlsHelp();
+    }
+    
+    loadManualGearbox() {
+        return localStorage.getItem('monodrift_manual_gearbox') === 'true';
+    }
+    
+    setManualGearbox(enabled) {
+        localStorage.setItem('monodrift_manual_gearbox', enabled.toString());
+        this.car.setManualGearbox(enabled);
+        this.updateControlsHelp();
+    }
+    
+    loadHardcoreMode() {
+        return localStorage.getItem('monodrift_hardcore') === 'true';
+    }
+    
+    setHardcoreMode(enabled) {
+        localStorage.setItem('monodrift_hardcore', enabled.toString());
+        this.car.setHardcoreMode(enabled);
+    }
+    
+    // Saved mode choice as { id, duration }, or null for the default
+    loadGameMode() {
+        try {
+            return JSON.parse(localStorage.getItem('monodrift_game_mode'));
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    setGameMode(choice) {
+        this.applyGameMode(choice);
+        const mode = this.gameState.mode;
+        localStorage.setItem('monodrift_game_mode', JSON.stringify({ id: mode.id, duration: mode.duration }));
+    }
+    
+    applyGameMode(choice) {
+        this.gameState.setMode(choice);
+        this.car.crashPenalty = this.gameState.mode.crashPenalty;
+        // The leaderboard follows the ranked mode being played
+        if (this.gameState.mode.ranked) {
+            this.leaderboardUI.setMode(choice);
+        }
+    }
+    
+    getControlsHelp() {
+        const lines = this.getDrivingControlsHelp();
+        
+        if (this.car && !this.car.drivetrain.isAutomatic) {
+            lines.splice(lines.length - 4, 0, 'X / Z: Shift up / down');
+        }
         
-        // Start the timer immediately
+        return lines;
+    }
+    
+    getDrivingControlsHelp() {
+        if (this.car && this.car.classicControls) {
+            return [
+                'WASD / Arrows: Drive',
+                'SPACE: Drift (hold while turning)',
+                'E: Handbrake',
+                'SHIFT: Nitro Boost',
+                'H: Headlights',
+                'T: Reset car',
+                'R: Restart',
+                'ESC / P: Pause'
+            ];
+        }
+        
+        return [
+            'WASD / Arrows: Drive',
+            'SPACE / E: Handbrake',
+            'Q: Clutch kick (tap on throttle)',
+            'SHIFT: Nitro Boost',
+            'H: Headlights',
+            'T: Reset car',
+            'R: Restart',
+            'ESC / P: Pause'
+        ];
+    }
+    
+    updateControlsHelp() {
+        if (!this.controlsContainer) return;
+        
+        this.controlsContainer.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 5px;">CONTROLS</div>
+            ${this.getControlsHelp().map(line => `<div>${line}</div>`).join('')}
+        `;
+    }
+    
+    // Set up a fresh run and count down to it
+    prepareRun() {
+        this.gameState.resetScore();
+        this.zoneJudge.reset();
+        this.trickDetector.reset();
+        this.proximityScorer.reset();
+        this.launchControl.reset();
+        this.lapTracker.reset();
+        this.respawnTracker.reset();
+        this.simulation.reset();
+        this.car.restart();
+        this.flow.startCountdown(this.launchControl.countdownTime);
+    }
+    
+    // The countdown is over
+    startGame() {
         this.gameState.startTimer();
         this.showGoMessage();
+        
+        // Jumping the start costs points as soon as there's a score to take them from, in modes with penalties
+        const penalty = this.gameState.mode.jumpStartPenalty;
+        if (this.launchControl.result === 'jumpStart' && penalty > 0) {
+            this.scoreEngine.addEvent('penalty', -penalty, { reason: 'jumpStart' });
+        }
+    }
+    
+    // Pay the lap bonus in modes that race laps, then count the lap - the last one can end the run
+    completeLap(lap) {
+        const label = `${lap.isPersonalBest ? 'BEST LAP' : `LAP ${lap.lap}`} ${formatLapTime(lap.lapTime)}`;
+        const breakdown = {
+            lap: lap.lap,
+            lapTime: Math.round(lap.lapTime * 100) / 100,
+            sectorTimes: lap.sectorTimes.map(time => Math.round(time * 100) / 100)
+        };
+        
+        if (this.gameState.mode.laps && this.scoreEngine.addEvent('lap', lap.points, breakdown)) {
+            this.showBonusPopup(label, lap.points, '#0f0');
+        } else {
+            this.showBonusPopup(label, null, '#0f0');
+        }
+        
+        this.gameState.recordLap();
+    }
+    
+    // Seconds since GO - negative while counting down
+    getTimeToGo() {
+        return this.flow.countdownRemaining > 0 ? -this.flow.countdownRemaining : this.gameState.timeElapsed;
+    }
+    
+    onFlowChange(from, to, reason) {
+        // The loading splash goes as soon as the start screen is up
+        const instructionsElement = document.getElementById('instructions');
+        if (instructionsElement) {
+            instructionsElement.style.display = 'none';
+        }
+        
+        // The 3-2-1 stays up under the pause overlay
+        if (to === FLOW_STATES.COUNTDOWN) {
+            this.showCountdown();
+        } else if (to !== FLOW_STATES.PAUSED) {
+            this.hideCountdown();
+        }
+        
+        // Nothing moves while paused - keys are released and ignored until the game resumes
+        if (to === FLOW_STATES.PAUSED) {
+            this.inputHandler.setFrozen(true);
+            this.showPauseOverlay(reason);
+        } else if (from === FLOW_STATES.PAUSED) {
+            this.inputHandler.setFrozen(false);
+            this.hidePauseOverlay();
+        }
+        
+        if (from === FLOW_STATES.COUNTDOWN && to === FLOW_STATES.PLAYING) {
+            this.startGame();
+        }
+    }
+    
+    // Big 3-2-1 in the middle of the screen while the car waits on the grid, filled in by updateUI
+    showCountdown() {
+        this.hideCountdown();
+        
+        const countdown = document.createElement('div');
+        countdown.id = 'countdown';
+        countdown.style.position = 'absolute';
+        countdown.style.top = '35%';
+        countdown.style.left = '50%';
+        countdown.style.transform = 'translate(-50%, -50%)';
+        countdown.style.textAlign = 'center';
+        countdown.style.zIndex = '1000';
+        countdown.style.pointerEvents = 'none';
+        
+        const number = document.createElement('div');
+        number.id = 'countdown-number';
+        number.style.color = '#fff';
+        number.style.fontSize = '100px';
+        number.style.fontWeight = 'bold';
+        number.style.textShadow = '0 0 20px rgba(255, 255, 255, 0.6)';
+        
+        const hint = document.createElement('div');
+        hint.id = 'countdown-hint';
+        hint.style.color = '#aaa';
+        hint.style.fontSize = '18px';
+        hint.style.fontWeight = 'bold';
+        hint.style.letterSpacing = '2px';
+        
+        countdown.appendChild(number);
+        countdown.appendChild(hint);
+        document.body.appendChild(countdown);
+    }
+    
+    hideCountdown() {
+        const countdown = document.getElementById('countdown');
+        if (countdown) {
+            document.body.removeChild(countdown);
+        }
+    }
+    
+    // Leave a paused run for the start screen without results
+    quitToMenu() {
+        this.gameState.abandonRun();
+        this.showPlayerNamePrompt();
+    }
+    
+    showPauseOverlay(reason) {
+        this.hidePauseOverlay();
+        
+        const overlay = document.createElement('div');
+        overlay.id = 'pause-overlay';
+        overlay.style.position = 'absolute';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.width = '100%';
+        overlay.style.height = '100%';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        overlay.style.display = 'flex';
+        overlay.style.flexDirection = 'column';
+        overlay.style.justifyContent = 'center';
+        overlay.style.alignItems = 'center';
+        overlay.style.color = '#fff';
+        overlay.style.zIndex = '1500';
+        
+        const title = document.createElement('h2');
+        title.textContent = 'PAUSED';
+        title.style.color = '#ffcc00';
+        title.style.fontSize = '48px';
+        title.style.letterSpacing = '3px';
+        title.style.margin = '0 0 10px 0';
+        
+        const hint = document.createElement('div');
+        hint.textContent = reason === 'hidden' ? 'Paused while you were away - ESC or P to resume' : 'ESC or P to resume';
+        hint.style.fontSize = '16px';
+        hint.style.color = '#aaa';
+        hint.style.marginBottom = '30px';
+        
+        const createButton = (text, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.background = '#ffcc00';
+            button.style.color = '#000';
+            button.style.border = 'none';
+            button.style.padding = '10px 30px';
+            button.style.margin = '0 8px';
+            button.style.fontSize = '18px';
+            button.style.fontWeight = 'bold';
+            button.style.borderRadius = '5px';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        
+        const buttons = document.createElement('div');
+        buttons.appendChild(createButton('RESUME', () => this.flow.resume()));
+        buttons.appendChild(createButton('QUIT', () => this.quitToMenu()));
+        
+        overlay.appendChild(title);
+        overlay.appendChild(hint);
+        overlay.appendChild(buttons);
+        document.body.appendChild(overlay);
+    }
+    
+    hidePauseOverlay() {
+        const overlay = document.getElementById('pause-overlay');
+        if (overlay) {
+            document.body.removeChild(overlay);
+        }
     }
     
     onWindowResize() {
@@ -592,6 +1128,7 @@ class Game {
         
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
+        this.garageUI.onResize(width, height);
     }
     
     updateCameraPosition(resetPosition = false) {
@@ -752,7 +1289,7 @@ class Game {
     }
     
     updateCamera() {
-        if (this.isRunning && !this.controls.enabled) {
+        if (this.flow.isInRun() && !this.controls.enabled) {
             this.updateCameraPosition();
         }
         
@@ -782,23 +1319,17 @@ class Game {
             this.lastFrameTime = timeMs - (elapsed % this.frameInterval);
         }
         
-        const deltaTime = (currentTime - this.lastTime) / 1000;
+        const frameTime = (currentTime - this.lastTime) / 1000;
         this.lastTime = currentTime;
         
-        // Skip large time jumps (like when tab was inactive)
-        if (deltaTime > 0.2) return;
+        // Advance the simulation in fixed steps, then show the car between the last two steps.
+        // Paused, nothing is stepped, so the countdown, run clock, physics and scoring all hold still.
+        if (this.flow.isSimulating()) {
+            const alpha = this.simulation.advance(frameTime, (stepTime) => this.fixedUpdate(stepTime));
+            this.car.applyRenderInterpolation(alpha);
+        }
         
-        if (this.isRunning) {
-            // Update game state and timer
-            this.gameState.updateTimer(deltaTime);
-            this.inputHandler.update();
-            
-            // Update car physics and movement
-            this.car.update(deltaTime, this.inputHandler.keys);
-            
-            // Check collisions
-            this.physics.checkCollisions(this.car, this.city);
-            
+        if (this.flow.isInRun()) {
             // Update UI elements
             this.updateUI();
             
@@ -811,14 +1342,99 @@ class Game {
             this.controls.update();
         }
         
-        this.renderer.render(this.scene, this.camera);
+        if (this.garageUI.isVisible) {
+            // The garage has its own scene on the same renderer
+            this.garageUI.render(frameTime);
+        } else {
+            this.renderer.render(this.scene, this.camera);
+        }
+        
+        // Put the car back on its simulated transform before the next step
+        this.car.restorePhysicsTransform();
+    }
+    
+    // One deterministic simulation step - everything that affects the trajectory or score runs here
+    fixedUpdate(deltaTime) {
+        this.car.storePreviousTransform();
+        
+        // Count down to the start, then update game state and timer
+        this.flow.update(deltaTime);
+        this.gameState.updateTimer(deltaTime);
+        
+        // The car waits on the grid through the countdown and is judged on its launch
+        const timeToGo = this.getTimeToGo();
+        const launch = this.launchControl.update(this.car, this.inputHandler.keys, timeToGo);
+        if (launch === 'perfect') {
+            this.showBonusPopup('PERFECT LAUNCH', null, '#0f0');
+        } else if (launch === 'jumpStart') {
+            const penalty = this.gameState.mode.jumpStartPenalty;
+            this.showBonusPopup('JUMP START', penalty > 0 ? -penalty : null, '#f33');
+        }
+        
+        // Update car physics and movement
+        if (this.launchControl.isHolding(timeToGo)) {
+            this.car.updateHeld(deltaTime, this.inputHandler.keys);
+        } else {
+            this.car.update(deltaTime, this.inputHandler.keys);
+        }
+        this.scoreEngine.update(deltaTime, this.car.isDrifting);
+        
+        // Follow the ground, jumps and landings
+        this.physics.updateVerticalDynamics(this.car, this.city, deltaTime);
+        this.physics.updateSurfaceContact(this.car, this.city);
+        
+        // Check collisions
+        const touched = this.physics.checkCollisions(this.car, this.city);
+        
+        // Through the boundary walls - back on the last safe spot. Otherwise keep track of safe spots.
+        if (!this.city.isInBounds(this.car.mesh.position)) {
+            this.car.respawn();
+            this.showBonusPopup('OUT OF BOUNDS', null, '#ffcc00');
+        }
+        this.respawnTracker.update(this.car, deltaTime);
+        
+        // Judged clipping points and outer zones, tricks and close calls - only while the clock is running
+        if (this.gameState.isTimerRunning) {
+            this.zoneJudge.update(this.car).forEach(hit => {
+                const breakdown = { x: Math.round(hit.position.x), z: Math.round(hit.position.z) };
+                if (this.scoreEngine.addEvent(hit.type, hit.points, breakdown)) {
+                    this.showBonusPopup(hit.type.toUpperCase(), hit.points, hit.type === 'clip' ? '#ffcc00' : '#fff');
+                }
+            });
+            
+            this.trickDetector.update(this.car, deltaTime).forEach(trick => {
+                const breakdown = { x: Math.round(trick.position.x), z: Math.round(trick.position.z) };
+                if (this.scoreEngine.addEvent(trick.type, trick.points, breakdown)) {
+                    this.showBonusPopup(trick.label, trick.points, '#0cf');
+                }
+            });
+            
+            this.proximityScorer.update(this.car, deltaTime, touched).forEach(hit => {
+                const breakdown = { level: hit.level, distance: Math.round(hit.distance * 100) / 100 };
+                if (this.scoreEngine.addEvent(hit.type, hit.points, breakdown)) {
+                    this.showBonusPopup(hit.label, hit.points, '#f33');
+                }
+            });
+            
+            // Splits are shown by updateUI, finished laps score and count toward the run.
+            // Every gate passed is a safe spot facing along the circuit.
+            this.lapTracker.update(this.car.previousPosition, this.car.mesh.position, this.gameState.timeElapsed).forEach(event => {
+                this.respawnTracker.addCheckpoint(this.car, this.city.circuit.checkpoints[event.checkpoint]);
+                if (event.type === 'lap') {
+                    this.completeLap(event);
+                }
+            });
+        }
+        
+        // Remember this step's keys so just-pressed checks work per step
+        this.inputHandler.update();
     }
     
     updateUI() {
         // Update nitro bar
         const nitroFill = document.getElementById('nitro-fill');
         if (nitroFill && this.car) {
-            nitroFill.style.width = `${this.car.currentNitro}%`;
+            nitroFill.style.width = `${this.car.currentNitro / this.car.nitroAmount * 100}%`;
             
             // Add pulse effect when using nitro
             if (this.car.isNitroActive) {
@@ -830,7 +1446,58 @@ class Game {
             }
         }
         
-        // Update score element directly from gameState
+        // Update damage diagram - white when intact, red when destroyed
+        if (this.car) {
+            DAMAGE_ZONES.forEach(zone => {
+                const cell = document.getElementById(`damage-${zone}`);
+                if (cell) {
+                    const intact = Math.round(255 * (1 - this.car.damage.zones[zone]));
+                    cell.style.background = `rgb(255, ${intact}, ${intact})`;
+                }
+            });
+        }
+        
+        // Update tachometer
+        const tachFill = document.getElementById('tach-fill');
+        const gearDisplay = document.getElementById('gear-display');
+        const tachLabel = document.getElementById('tach-label');
+        if (tachFill && gearDisplay && tachLabel && this.car) {
+            const drivetrain = this.car.drivetrain;
+            tachFill.style.width = `${Math.min(100, drivetrain.rpm / drivetrain.revLimitRpm * 100)}%`;
+            tachFill.style.background = drivetrain.rpm >= drivetrain.redlineRpm ? '#f33' :
+                (drivetrain.isInPowerBand() ? '#ffcc00' : '#fff');
+            gearDisplay.textContent = drivetrain.gear < 0 ? 'R' : `${drivetrain.gear}`;
+            tachLabel.textContent = `${Math.round(drivetrain.rpm / 100) * 100} RPM ${drivetrain.isAutomatic ? 'AUTO' : 'MAN'}`;
+        }
+        
+        // Update countdown - rev on 3 and 2, lift on 1 and go on GO
+        const countdownNumber = document.getElementById('countdown-number');
+        const countdownHint = document.getElementById('countdown-hint');
+        if (countdownNumber && countdownHint) {
+            const number = this.launchControl.getCountdownNumber(this.getTimeToGo());
+            const jumped = this.launchControl.result === 'jumpStart';
+            countdownNumber.textContent = number > 0 ? `${number}` : '';
+            countdownNumber.style.color = number === 1 ? '#ffcc00' : '#fff';
+            countdownHint.textContent = jumped ? 'JUMP START!' : (number > 1 ? 'REV IT UP' : 'LIFT - HIT THE THROTTLE ON GO');
+            countdownHint.style.color = jumped ? '#f33' : '#aaa';
+        }
+        
+        // Update proximity meter - yellow inside the close call band, red when it's tight
+        const proximityContainer = document.getElementById('proximity-container');
+        const proximityFill = document.getElementById('proximity-fill');
+        const proximityLabel = document.getElementById('proximity-label');
+        if (proximityContainer && proximityFill && proximityLabel && this.proximityScorer) {
+            const scorer = this.proximityScorer;
+            proximityFill.style.width = `${scorer.getCloseness() * 100}%`;
+            proximityFill.style.background = scorer.clearance <= scorer.tightDistance ? '#f33' :
+                (scorer.isInBand() ? '#ffcc00' : '#fff');
+            proximityLabel.textContent = scorer.run ? 'CLOSE CALL' :
+                (scorer.clearance < Infinity ? `${scorer.clearance.toFixed(1)} M` : 'PROXIMITY');
+            proximityLabel.style.color = scorer.run ? '#f33' : '#fff';
+            proximityContainer.style.boxShadow = scorer.run ? '0 0 15px rgba(255, 51, 51, 0.8)' : '0 0 10px rgba(0, 0, 0, 0.3)';
+        }
+        
+        // The only writer of the score element - the banked total from gameState
         const scoreElement = document.getElementById('score');
         if (scoreElement && this.gameState) {
             const currentScore = Math.floor(this.gameState.score);
@@ -855,11 +1522,17 @@ class Game {
         // Update timer element
         const timerElement = document.getElementById('timer');
         if (timerElement && this.gameState) {
+            const crashesLeft = this.gameState.getCrashesLeft();
             if (!this.gameState.isTimerRunning) {
                 // Show "READY..." text when waiting for player to start
                 timerElement.textContent = `READY...`;
                 timerElement.style.color = '#ffcc00';
-            } else if (this.gameState.timeRemaining <= 10) {
+            } else if (crashesLeft !== null) {
+                // Endurance counts up and shows the crashes left, red on the last one
+                timerElement.style.color = crashesLeft <= 1 ? '#ff3333' : '#fff';
+                timerElement.style.transform = 'scale(1.0)';
+                timerElement.textContent = `TIME: ${this.gameState.getFormattedTime()}  CRASHES LEFT: ${crashesLeft}`;
+            } else if (this.gameState.isTimed() && this.gameState.timeRemaining <= 10) {
                 // Change color to red when time is running low (less than 10 seconds)
                 timerElement.style.color = '#ff3333';
                 
@@ -877,9 +1550,44 @@ class Game {
                 timerElement.textContent = `TIME: ${this.gameState.getFormattedTime()}`;
             }
         }
+        
+        this.updateLapUI();
+    }
+    
+    // Lap timer panel and the wrong way warning
+    updateLapUI() {
+        const lapTimeElement = document.getElementById('lap-time');
+        const lapBestElement = document.getElementById('lap-best');
+        const lapSplitElement = document.getElementById('lap-split');
+        if (!lapTimeElement || !lapBestElement || !lapSplitElement) return;
+        
+        const tracker = this.lapTracker;
+        const time = this.gameState.timeElapsed;
+        const totalLaps = this.gameState.mode.laps;
+        const lap = totalLaps ? `${Math.min(tracker.lapsCompleted + 1, totalLaps)}/${totalLaps}` : `${tracker.lapsCompleted + 1}`;
+        lapTimeElement.textContent = `LAP ${lap}  ${formatLapTime(tracker.getLapTime(time))}`;
+        lapBestElement.textContent = `BEST ${tracker.personalBest ? formatLapTime(tracker.personalBest.lapTime) : '-:--.--'}`;
+        
+        // The latest split for a few seconds - green when ahead of the personal best, red when behind
+        const split = tracker.lastSplit && time - tracker.lastSplit.at < 3 ? tracker.lastSplit : null;
+        if (split) {
+            const name = split.checkpoint === 0 ? 'LAP' : `SPLIT ${split.checkpoint}`;
+            const value = split.delta === null ? formatLapTime(split.time) : formatDelta(split.delta);
+            lapSplitElement.textContent = `${name}  ${value}`;
+            lapSplitElement.style.color = split.delta === null ? '#fff' : (split.delta < 0 ? '#0f0' : '#ff3333');
+        } else {
+            lapSplitElement.textContent = '';
+        }
+        
+        const wrongWayElement = document.getElementById('wrong-way');
+        if (wrongWayElement) {
+            wrongWayElement.style.display = tracker.wrongWay && this.gameState.isTimerRunning ? 'block' : 'none';
+        }
     }
     
     showPlayerNamePrompt() {
+        this.flow.transition(FLOW_STATES.MENU);
+        
         // Create modal container
         const modalContainer = document.createElement('div');
         modalContainer.id = 'player-name-modal';
@@ -957,19 +1665,51 @@ class Game {
         
         // Create instructions
         const instructions = document.createElement('div');
-        instructions.innerHTML = `
-            <p style="margin-bottom: 15px; color: #fff; font-size: 16px;">You have 30 seconds to rack up as many points as possible!</p>
-            <div style="color: #aaa; font-size: 14px; text-align: left; margin: 0 auto; max-width: 300px;">
-                <p style="margin-bottom: 5px;">• WASD / Arrow Keys to drive</p>
-                <p style="margin-bottom: 5px;">• SPACE to drift (hold while turning)</p>
-                <p style="margin-bottom: 5px;">• SHIFT for nitro boost</p>
-            </div>
-        `;
+        const renderInstructions = () => {
+            instructions.innerHTML = `
+                <p style="margin-bottom: 15px; color: #fff; font-size: 16px;">${this.gameState.mode.description}</p>
+                <div style="color: #aaa; font-size: 14px; text-align: left; margin: 0 auto; max-width: 300px;">
+                    ${this.getControlsHelp().map(line => `<p style="margin-bottom: 5px;">• ${line}</p>`).join('')}
+                </div>
+            `;
+        };
+        renderInstructions();
+        
+        // Game mode, and the run length for modes that offer a choice
+        const modeSelector = this.createModeSelector(() => renderInstructions());
+        
+        // Game options - classic hold-to-drift controls, manual gearbox and hardcore damage
+        const optionsContainer = document.createElement('div');
+        optionsContainer.style.marginBottom = '20px';
+        
+        optionsContainer.appendChild(this.createOptionToggle(
+            'Classic controls (hold SPACE to drift)',
+            this.car.classicControls,
+            (checked) => {
+                this.setClassicControls(checked);
+                renderInstructions();
+            }
+        ));
+        optionsContainer.appendChild(this.createOptionToggle(
+            'Manual gearbox (X / Z to shift)',
+            !this.car.drivetrain.isAutomatic,
+            (checked) => {
+                this.setManualGearbox(checked);
+                renderInstructions();
+            }
+        ));
+        optionsContainer.appendChild(this.createOptionToggle(
+            'Hardcore (wrecking the car ends the run)',
+            this.car.hardcoreMode,
+            (checked) => this.setHardcoreMode(checked)
+        ));
         
         // Add elements to modal
         modalContent.appendChild(title);
         modalContent.appendChild(subtitle);
         modalContent.appendChild(inputContainer);
+        modalContent.appendChild(modeSelector);
+        modalContent.appendChild(optionsContainer);
         modalContent.appendChild(instructions);
         modalContainer.appendChild(modalContent);
         document.body.appendChild(modalContainer);
@@ -981,18 +1721,7 @@ class Game {
         const startGame = () => {
             this.playerName = nameInput.value.trim() || `Player${Math.floor(Math.random() * 1000)}`;
             document.body.removeChild(modalContainer);
-            
-            // Show existing instructions briefly
-            const instructionsElement = document.getElementById('instructions');
-            if (instructionsElement) {
-                instructionsElement.style.display = 'block';
-                setTimeout(() => {
-                    instructionsElement.style.display = 'none';
-                    this.startGame();
-                }, 1500);
-            } else {
-                this.startGame();
-            }
+            this.showGarage();
         };
         
         startButton.addEventListener('click', startGame);
@@ -1003,7 +1732,89 @@ class Game {
         });
     }
     
-    showGameOverMessage(finalScore, highScore) {
+    // Pick a car, then show the instructions briefly and start
+    showGarage() {
+        this.vehicleLoad.then(() => {
+            this.garageUI.show(this.car.vehicle.id, (vehicleId) => {
+                this.setVehicle(vehicleId);
+                this.prepareRun();
+            });
+        });
+    }
+    
+    // Start screen mode buttons, with run length buttons under them when the mode has a choice
+    createModeSelector(onChange) {
+        const container = document.createElement('div');
+        container.style.marginBottom = '20px';
+        
+        const createButton = (text, isSelected, onClick) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.style.padding = '6px 12px';
+            button.style.margin = '0 4px 8px';
+            button.style.fontSize = '14px';
+            button.style.fontWeight = 'bold';
+            button.style.border = 'none';
+            button.style.borderRadius = '5px';
+            button.style.cursor = 'pointer';
+            button.style.backgroundColor = isSelected ? '#ffcc00' : 'rgba(255, 255, 255, 0.1)';
+            button.style.color = isSelected ? '#000' : '#fff';
+            button.addEventListener('click', onClick);
+            return button;
+        };
+        
+        const render = () => {
+            const selected = this.gameState.mode;
+            container.innerHTML = '';
+            
+            const modeRow = document.createElement('div');
+            Object.entries(GAME_MODES).forEach(([id, mode]) => {
+                modeRow.appendChild(createButton(mode.name.toUpperCase(), id === selected.id, () => {
+                    this.setGameMode({ id });
+                    render();
+                    onChange();
+                }));
+            });
+            container.appendChild(modeRow);
+            
+            if (selected.durations.length > 1) {
+                const durationRow = document.createElement('div');
+                selected.durations.forEach(duration => {
+                    durationRow.appendChild(createButton(`${duration}S`, duration === selected.duration, () => {
+                        this.setGameMode({ id: selected.id, duration });
+                        render();
+                        onChange();
+                    }));
+                });
+                container.appendChild(durationRow);
+            }
+        };
+        render();
+        
+        return container;
+    }
+    
+    // Checkbox with a label for the start screen options
+    createOptionToggle(text, checked, onChange) {
+        const toggle = document.createElement('label');
+        toggle.style.display = 'block';
+        toggle.style.color = '#fff';
+        toggle.style.fontSize = '14px';
+        toggle.style.marginBottom = '8px';
+        toggle.style.cursor = 'pointer';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.style.marginRight = '8px';
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        
+        toggle.appendChild(checkbox);
+        toggle.appendChild(document.createTextNode(text));
+        return toggle;
+    }
+    
+    showGameOverMessage(finalScore, highScore, reason = 'time') {
         // Create game over message
         const gameOverContainer = document.createElement('div');
         gameOverContainer.id = 'game-over-container';
@@ -1021,14 +1832,15 @@ class Game {
         
         // Game over title
         const gameOverTitle = document.createElement('h2');
-        gameOverTitle.textContent = 'TIME UP!';
+        const titles = { wrecked: 'WRECKED!', crashes: 'CRASHED OUT!', laps: 'FINISHED!', time: 'TIME UP!' };
+        gameOverTitle.textContent = titles[reason] || titles.time;
         gameOverTitle.style.color = '#ffcc00';
         gameOverTitle.style.fontSize = '36px';
         gameOverTitle.style.margin = '0 0 20px 0';
         
-        // Player name
+        // Player name and the mode the run was played in
         const playerNameElement = document.createElement('div');
-        playerNameElement.textContent = `PLAYER: ${this.playerName}`;
+        playerNameElement.textContent = `PLAYER: ${this.playerName}  ·  ${getModeLabel(this.gameState.mode)}`;
         playerNameElement.style.fontSize = '20px';
         playerNameElement.style.marginBottom = '10px';
         
@@ -1036,7 +1848,45 @@ class Game {
         const finalScoreElement = document.createElement('div');
         finalScoreElement.textContent = `FINAL SCORE: ${Math.floor(finalScore)}`;
         finalScoreElement.style.fontSize = '24px';
-        finalScoreElement.style.marginBottom = '30px';
+        finalScoreElement.style.marginBottom = '10px';
+        
+        // Where the points came from, out of the score log
+        const summary = this.scoreEngine.getSummary();
+        const summaryElement = document.createElement('div');
+        summaryElement.style.fontSize = '16px';
+        summaryElement.style.color = '#aaa';
+        summaryElement.style.lineHeight = '1.5';
+        summaryElement.style.marginBottom = '30px';
+        const summaryRows = [['drift', 'DRIFTS'], ['spin', 'SPINS'], ['clip', 'CLIPS'], ['zone', 'ZONES'], ['proximity', 'CLOSE CALLS'], ['penalty', 'PENALTIES']];
+        if (this.gameState.mode.laps) {
+            summaryRows.push(['lap', 'LAPS']);
+        }
+        summaryRows.forEach(([type, label]) => {
+            const line = summary[type] || { count: 0, points: 0 };
+            const row = document.createElement('div');
+            row.textContent = `${label}: ${line.count}  (${line.points >= 0 ? '+' : ''}${line.points})`;
+            summaryElement.appendChild(row);
+        });
+        
+        // Tricks pulled off, or a single line if there were none
+        const tricks = Object.entries(TRICKS).filter(([type]) => summary[type]);
+        const trickRows = tricks.length > 0 ?
+            tricks.map(([type, trick]) => `${trick.label}: ${summary[type].count}  (+${summary[type].points})`) :
+            ['TRICKS: 0'];
+        trickRows.forEach(text => {
+            const row = document.createElement('div');
+            row.textContent = text;
+            row.style.color = '#0cf';
+            summaryElement.appendChild(row);
+        });
+        
+        // Fastest lap of the run, if one was finished
+        if (this.lapTracker.bestLapTime !== null) {
+            const row = document.createElement('div');
+            row.textContent = `BEST LAP: ${formatLapTime(this.lapTracker.bestLapTime)}`;
+            row.style.color = '#0f0';
+            summaryElement.appendChild(row);
+        }
         
         // Restart button
         const restartButton = document.createElement('button');
@@ -1061,12 +1911,46 @@ class Game {
         gameOverContainer.appendChild(gameOverTitle);
         gameOverContainer.appendChild(playerNameElement);
         gameOverContainer.appendChild(finalScoreElement);
+        gameOverContainer.appendChild(summaryElement);
         gameOverContainer.appendChild(restartButton);
         
         // Add to the DOM
         document.body.appendChild(gameOverContainer);
     }
     
+    // Float a "CLIP +150" / "DONUT +300" message up from below the score. Without points it's just the label.
+    showBonusPopup(label, points, color) {
+        const hitContainer = document.createElement('div');
+        hitContainer.style.position = 'absolute';
+        hitContainer.style.top = '25%';
+        hitContainer.style.left = '50%';
+        hitContainer.style.transform = 'translate(-50%, 0)';
+        hitContainer.style.color = color;
+        hitContainer.style.fontSize = '36px';
+        hitContainer.style.fontWeight = 'bold';
+        hitContainer.style.zIndex = '1000';
+        hitContainer.style.pointerEvents = 'none';
+        hitContainer.style.textShadow = '0 0 10px rgba(255, 204, 0, 0.8)';
+        hitContainer.style.transition = 'transform 0.8s, opacity 0.8s';
+        if (points === null) {
+            hitContainer.textContent = label;
+        } else {
+            hitContainer.textContent = `${label} ${points < 0 ? points : `+${points}`}`;
+        }
+        
+        document.body.appendChild(hitContainer);
+        
+        // Animate and remove
+        setTimeout(() => {
+            hitContainer.style.transform = 'translate(-50%, -60px)';
+            hitContainer.style.opacity = '0';
+        }, 100);
+        
+        setTimeout(() => {
+            document.body.removeChild(hitContainer);
+        }, 1000);
+    }
+    
     // Add a "GO!" message when the game starts
     showGoMessage() {
         const goContainer = document.createElement('div');
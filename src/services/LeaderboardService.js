@@ -1,16 +1,28 @@
 import { supabase } from '../config/supabaseClient.js';
 import config from '../config.js';
+import { createGameMode, DEFAULT_MODE, getModeKey } from '../core/GameModes.js';
 
 const DEBUG = config.game.debugMode || false;
 
+// Error codes for a column the table doesn't have: from Postgres in filters and selects,
+// from PostgREST in the columns of an insert or update
+const UNDEFINED_COLUMN_CODES = ['42703', 'PGRST204'];
+
 /**
- * Service for managing the leaderboard
+ * Service for managing the leaderboard. Every ranked game mode and run length has its own
+ * board, with one best score per player on each.
  */
 export class LeaderboardService {
   constructor() {
-    this.topScores = [];
+    this.mode = { ...DEFAULT_MODE }; // Board the UI shows, as { id, duration }
+    this.topScores = []; // Scores on that board
+    this.scoresByMode = {}; // Every board fetched so far, by mode key
+    this.loadingModes = new Set();
     this.onLeaderboardUpdate = null;
-    this.isLoading = false;
+    
+    // Older tables have no mode or setup column - found out on the first query that uses them
+    this.hasModeColumn = true;
+    this.hasSetupColumn = true;
     
     if (DEBUG) console.log('Leaderboard service created');
   }
@@ -51,46 +63,66 @@ export class LeaderboardService {
   }
   
   /**
-   * Fetch leaderboard data from Supabase
+   * Choose the board the UI shows
+   * @param {Object} choice - Game mode as { id, duration }
+   */
+  setMode(choice) {
+    const mode = createGameMode(choice);
+    this.mode = { id: mode.id, duration: mode.duration };
+    this.topScores = this.scoresByMode[getModeKey(mode)] || [];
+  }
+  
+  /**
+   * Fetch one game mode's leaderboard from Supabase
+   * @param {Object} [choice] - Game mode as { id, duration }, the shown board by default
    * @param {number} limit - Maximum number of scores to retrieve
    * @returns {Promise<Array>} - Fetched leaderboard entries
    */
-  async fetchLeaderboard(limit = config.leaderboard.entriesLimit) {
-    if (this.isLoading) {
+  async fetchLeaderboard(choice = this.mode, limit = config.leaderboard.entriesLimit) {
+    const modeKey = getModeKey(choice);
+    const isShown = () => modeKey === getModeKey(this.mode);
+    
+    if (this.loadingModes.has(modeKey)) {
       if (DEBUG) console.log('Already fetching leaderboard data, skipping duplicate request');
-      return this.topScores;
+      return this.scoresByMode[modeKey] || [];
     }
     
-    this.isLoading = true;
+    this.loadingModes.add(modeKey);
     
     try {
-      if (DEBUG) console.log('Fetching leaderboard data...');
+      if (DEBUG) console.log(`Fetching ${modeKey} leaderboard data...`);
       
-      const { data, error } = await supabase
-        .from('leaderboard')
-        .select('*')
-        .order('score', { ascending: false })
-        .limit(limit);
+      const { data, error } = await this._query(() => {
+        const query = supabase
+          .from('leaderboard')
+          .select('*');
+        return this._forMode(query, choice)
+          .order('score', { ascending: false })
+          .limit(limit);
+      });
       
       if (error) {
         console.error('Error fetching leaderboard:', error);
-        this._notifyUpdateListeners([]);
+        if (isShown()) this._notifyUpdateListeners([]);
         return [];
       }
       
-      console.log(`Fetched ${data.length} leaderboard entries`);
-      this.topScores = data;
+      console.log(`Fetched ${data.length} ${modeKey} leaderboard entries`);
+      this.scoresByMode[modeKey] = data;
       
-      // Ensure UI gets updated with the new data
-      this._notifyUpdateListeners(this.topScores);
+      // Ensure UI gets updated with the new data - the shown board may have changed meanwhile
+      if (isShown()) {
+        this.topScores = data;
+        this._notifyUpdateListeners(this.topScores);
+      }
       
-      return this.topScores;
+      return data;
     } catch (error) {
       console.error('Unexpected error fetching leaderboard:', error);
-      this._notifyUpdateListeners([]);
+      if (isShown()) this._notifyUpdateListeners([]);
       return [];
     } finally {
-      this.isLoading = false;
+      this.loadingModes.delete(modeKey);
     }
   }
   
@@ -113,18 +145,21 @@ export class LeaderboardService {
   }
   
   /**
-   * Check if a score qualifies for the leaderboard
+   * Check if a score qualifies for a game mode's leaderboard
    * @param {number} score - Score to check
+   * @param {Object} [choice] - Game mode as { id, duration }, the shown board by default
    * @returns {boolean} - Whether the score qualifies
    */
-  isScoreQualified(score) {
+  isScoreQualified(score, choice = this.mode) {
+    const scores = this.scoresByMode[getModeKey(choice)] || [];
+    
     // If we don't have enough scores yet, any score qualifies
-    if (this.topScores.length < config.leaderboard.entriesLimit) {
+    if (scores.length < config.leaderboard.entriesLimit) {
       return true;
     }
     
     // Check if score is higher than the lowest score on the leaderboard
-    const lowestScore = this.topScores[this.topScores.length - 1].score;
+    const lowestScore = scores[scores.length - 1].score;
     return score > lowestScore;
   }
   
@@ -132,9 +167,11 @@ export class LeaderboardService {
    * Submit a new score to the leaderboard
    * @param {string} playerName - Player name
    * @param {number} score - Player score
+   * @param {Object} [runInfo] - Car, tuning setup and game mode of the run, stored in the setup column.
+   *   The score goes on that mode's board, or the default mode's without one.
    * @returns {Promise<boolean>} - Whether submission was successful
    */
-  async submitScore(playerName, score) {
+  async submitScore(playerName, score, runInfo = null) {
     try {
       if (!playerName || score === undefined) {
         console.error('Player name and score are required');
@@ -143,12 +180,15 @@ export class LeaderboardService {
       
       console.log(`Checking score for ${playerName}: ${score}`);
       
-      // First check if player name already exists
-      const { data: existingPlayer, error: searchError } = await supabase
-        .from('leaderboard')
-        .select('id, score')
-        .eq('player_name', playerName)
-        .limit(1);
+      // First check if player name already has a score in this mode
+      const mode = runInfo && runInfo.mode;
+      const { data: existingPlayer, error: searchError } = await this._query(() => {
+        const query = supabase
+          .from('leaderboard')
+          .select('id, score')
+          .eq('player_name', playerName);
+        return this._forMode(query, mode).limit(1);
+      });
       
       if (searchError) {
         console.error('Error searching for existing player:', searchError);
@@ -163,13 +203,15 @@ export class LeaderboardService {
         
         if (score > existingScore) {
           // Update with higher score
-          const { data, error } = await supabase
-            .from('leaderboard')
-            .update({ score: score, created_at: new Date() })
-            .eq('id', existingPlayer[0].id)
-            .select();
-            
-          result = { data, error };
+          result = await this._writeScore(
+            { score: score, created_at: new Date() },
+            runInfo,
+            (record) => supabase
+              .from('leaderboard')
+              .update(record)
+              .eq('id', existingPlayer[0].id)
+              .select()
+          );
           console.log(`Updated score for ${playerName}: ${existingScore} → ${score}`);
         } else {
           // Keep existing higher score
@@ -178,14 +220,14 @@ export class LeaderboardService {
         }
       } else {
         // New player, insert new record
-        const { data, error } = await supabase
-          .from('leaderboard')
-          .insert([
-            { player_name: playerName, score: score, created_at: new Date() }
-          ])
-          .select();
-          
-        result = { data, error };
+        result = await this._writeScore(
+          { player_name: playerName, score: score, created_at: new Date() },
+          runInfo,
+          (record) => supabase
+            .from('leaderboard')
+            .insert([record])
+            .select()
+        );
         console.log(`Added new score for ${playerName}: ${score}`);
       }
       
@@ -194,8 +236,8 @@ export class LeaderboardService {
         return false;
       }
       
-      // Refresh leaderboard after submitting
-      await this.fetchLeaderboard();
+      // Refresh the mode's leaderboard after submitting
+      await this.fetchLeaderboard(mode);
       return true;
     } catch (error) {
       console.error('Unexpected error submitting score:', error);
@@ -204,13 +246,94 @@ export class LeaderboardService {
   }
   
   /**
-   * Get the highest score from the leaderboard
+   * Write a score record with the run's mode and setup, leaving out the columns the table doesn't have
+   * @private
+   * @param {Object} record - Columns to write
+   * @param {Object|null} runInfo - Car, tuning setup and game mode, or null
+   * @param {Function} write - Runs the query for a record and resolves to { data, error }
+   * @returns {Promise<Object>} - The query result
+   */
+  _writeScore(record, runInfo, write) {
+    return this._query(() => {
+      const columns = { ...record };
+      if (this.hasModeColumn) columns.mode = getModeKey(runInfo && runInfo.mode);
+      if (runInfo && this.hasSetupColumn) columns.setup = runInfo;
+      return write(columns);
+    });
+  }
+  
+  /**
+   * Narrow a query to one game mode's scores: by the mode column, or by the mode saved in the
+   * setup column on tables without it. Tables with neither keep a single board for every mode.
+   * @private
+   * @param {Object} query - Supabase query on the leaderboard table
+   * @param {Object} [choice] - Game mode as { id, duration }
+   * @returns {Object} - The filtered query
+   */
+  _forMode(query, choice) {
+    const mode = createGameMode(choice);
+    if (this.hasModeColumn) {
+      return query.eq('mode', getModeKey(mode));
+    }
+    if (!this.hasSetupColumn) {
+      return query;
+    }
+    
+    const byId = query.eq('setup->mode->>id', mode.id);
+    return mode.duration === null
+      ? byId.is('setup->mode->>duration', null)
+      : byId.eq('setup->mode->>duration', `${mode.duration}`);
+  }
+  
+  /**
+   * Run a query, running it again without the mode or setup column if the table turns out not to have it
+   * @private
+   * @param {Function} build - Builds the query from the columns known to exist and resolves to { data, error }
+   * @returns {Promise<Object>} - The query result
+   */
+  async _query(build) {
+    const result = await build();
+    
+    if (this.hasModeColumn && this._isMissingColumn(result.error, 'mode')) {
+      console.warn('Leaderboard table has no mode column, telling modes apart by the setup column');
+      this.hasModeColumn = false;
+      return this._query(build);
+    }
+    if (this.hasSetupColumn && this._isMissingColumn(result.error, 'setup')) {
+      console.warn('Leaderboard table has no setup column, going on without it');
+      this.hasSetupColumn = false;
+      return this._query(build);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Whether a query failed because the leaderboard table has no such column
+   * @private
+   * @param {Object|null} error - Query error
+   * @param {string} column - Column name
+   * @returns {boolean} - Whether the column is missing
+   */
+  _isMissingColumn(error, column) {
+    if (!error || !UNDEFINED_COLUMN_CODES.includes(error.code)) return false;
+    
+    // 'column leaderboard.mode does not exist' or "Could not find the 'mode' column of 'leaderboard'"
+    const message = error.message || '';
+    return message.includes(`leaderboard.${column} `) || message.includes(`'${column}' column`);
+  }
+  
+  /**
+   * Get the highest score on a game mode's leaderboard
+   * @param {Object} [choice] - Game mode as { id, duration }, the shown board by default
    * @returns {number} The highest score, or 0 if no scores exist
    */
-  getTopScore() {
+  getTopScore(choice = this.mode) {
+    const scores = this.scoresByMode[getModeKey(choice)];
+    
     // If we have scores, return the highest one (which should be the first in the array)
-    if (this.topScores && this.topScores.length > 0) {
-      return this.topScores[0].score;
+    if (scores && scores.length > 0) {
+      return scores[0].score;
     }
     // Return 0 if no scores exist
     return 0;
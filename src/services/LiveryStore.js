@@ -0,0 +1,40 @@
+import { normalizeLivery } from '../core/Livery.js';
+
+const STORAGE_KEY = 'monodrift_livery';
+
+/**
+ * Keeps each car's livery in localStorage, keyed by vehicle id
+ */
+export class LiveryStore {
+  constructor() {
+    this.liveries = {};
+    
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (saved && typeof saved === 'object') {
+        this.liveries = saved;
+      }
+    } catch (error) {
+      console.error('Failed to read saved liveries:', error);
+    }
+  }
+  
+  /**
+   * Look up a car's livery
+   * @param {string} vehicleId - Vehicle id
+   * @returns {Object} - The saved livery, or the stock one
+   */
+  get(vehicleId) {
+    return normalizeLivery(this.liveries[vehicleId]);
+  }
+  
+  /**
+   * Save a car's livery
+   * @param {string} vehicleId - Vehicle id
+   * @param {Object} livery - Livery to save
+   */
+  set(vehicleId, livery) {
+    this.liveries[vehicleId] = normalizeLivery(livery);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.liveries));
+  }
+} 
\ No newline at end of file
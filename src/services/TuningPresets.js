@@ -0,0 +1,109 @@
+import { DEFAULT_TUNING, normalizeTuning } from '../core/Tuning.js';
+
+const PRESETS_KEY = 'monodrift_tuning_presets';
+const ACTIVE_KEY = 'monodrift_tuning';
+
+/**
+ * Stores named tuning setups and the active setup in localStorage.
+ * Presets are kept as one JSON object keyed by name. In memory that object has no prototype,
+ * so names the player types such as "__proto__" or "constructor" are just names.
+ */
+export class TuningPresets {
+  constructor() {
+    this.presets = Object.assign(Object.create(null), this._read(PRESETS_KEY));
+  }
+  
+  /**
+   * @private
+   * @param {string} name - Preset name
+   * @returns {boolean} - Whether there is a preset with that name
+   */
+  _has(name) {
+    return Object.prototype.hasOwnProperty.call(this.presets, name);
+  }
+  
+  /**
+   * Read and parse a JSON value, ignoring anything unreadable
+   * @private
+   * @param {string} key - localStorage key
+   * @returns {Object|null} - Parsed value, or null if missing or corrupt
+   */
+  _read(key) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value && typeof value === 'object' ? value : null;
+    } catch (error) {
+      console.error(`Failed to read ${key}:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Persist the preset list
+   * @private
+   */
+  _writePresets() {
+    localStorage.setItem(PRESETS_KEY, JSON.stringify(this.presets));
+  }
+  
+  /**
+   * @returns {Array<string>} - Preset names in alphabetical order
+   */
+  list() {
+    return Object.keys(this.presets).sort((a, b) => a.localeCompare(b));
+  }
+  
+  /**
+   * Look up a preset
+   * @param {string} name - Preset name
+   * @returns {Object|null} - The setup, or null if there is no preset with that name
+   */
+  load(name) {
+    return this._has(name) ? normalizeTuning(this.presets[name]) : null;
+  }
+  
+  /**
+   * Save a setup under a name, replacing any preset with the same name
+   * @param {string} name - Preset name
+   * @param {Object} setup - Tuning setup
+   * @returns {boolean} - Whether the preset was saved
+   */
+  save(name, setup) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      return false;
+    }
+    
+    this.presets[trimmed] = normalizeTuning(setup);
+    this._writePresets();
+    return true;
+  }
+  
+  /**
+   * Remove a preset
+   * @param {string} name - Preset name
+   */
+  delete(name) {
+    if (!this._has(name)) {
+      return;
+    }
+    
+    delete this.presets[name];
+    this._writePresets();
+  }
+  
+  /**
+   * @returns {Object} - The setup used for the next run, stock if none was saved
+   */
+  getActive() {
+    return normalizeTuning(this._read(ACTIVE_KEY) || DEFAULT_TUNING);
+  }
+  
+  /**
+   * Remember the setup used for the next run
+   * @param {Object} setup - Tuning setup
+   */
+  setActive(setup) {
+    localStorage.setItem(ACTIVE_KEY, JSON.stringify(normalizeTuning(setup)));
+  }
+} 
\ No newline at end of file
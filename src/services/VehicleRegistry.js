@@ -0,0 +1,88 @@
+import { DEFAULT_VEHICLE, createVehicleDefinition } from '../core/Vehicles.js';
+
+/**
+ * Loads vehicle definitions from public/vehicles.
+ * index.json lists the definition files; each one is merged over the built-in default,
+ * so adding a car means dropping its JSON (and GLB) into public/ and listing it there.
+ */
+export class VehicleRegistry {
+  constructor(baseUrl = '/vehicles') {
+    this.baseUrl = baseUrl;
+    this.vehicles = new Map();
+    this.isLoaded = false;
+    
+    // The built-in car is always available, even if nothing loads
+    this.register(DEFAULT_VEHICLE);
+  }
+  
+  /**
+   * Fetch the vehicle index and every definition it lists
+   * @returns {Promise<Array>} - All registered vehicles
+   */
+  async load() {
+    try {
+      const response = await fetch(`${this.baseUrl}/index.json`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const index = await response.json();
+      const files = index.vehicles || [];
+      
+      // A broken definition only loses that car
+      await Promise.all(files.map(file => this.loadDefinition(file)));
+    } catch (error) {
+      console.error('Failed to load vehicle index:', error);
+    }
+    
+    this.isLoaded = true;
+    return this.getAll();
+  }
+  
+  /**
+   * Fetch and register a single definition file
+   * @private
+   * @param {string} file - File name relative to the base url
+   * @returns {Promise<Object|null>} - The registered vehicle, or null on failure
+   */
+  async loadDefinition(file) {
+    try {
+      const response = await fetch(`${this.baseUrl}/${file}`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      return this.register(await response.json());
+    } catch (error) {
+      console.error(`Failed to load vehicle definition ${file}:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Add or replace a vehicle
+   * @param {Object} data - Vehicle definition, missing values come from the default
+   * @returns {Object} - The complete definition
+   */
+  register(data) {
+    const vehicle = createVehicleDefinition(data);
+    this.vehicles.set(vehicle.id, vehicle);
+    return vehicle;
+  }
+  
+  /**
+   * Look up a vehicle by id
+   * @param {string} id - Vehicle id
+   * @returns {Object} - The vehicle, or the default one if the id is unknown
+   */
+  get(id) {
+    return this.vehicles.get(id) || this.vehicles.get(DEFAULT_VEHICLE.id);
+  }
+  
+  /**
+   * @returns {Array} - All registered vehicles in load order
+   */
+  getAll() {
+    return Array.from(this.vehicles.values());
+  }
+} 
\ No newline at end of file
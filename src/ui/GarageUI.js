@@ -0,0 +1,403 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { Drivetrain } from '../core/Drivetrain.js';
+import { paintModel } from '../core/Livery.js';
+
+// Handling stats shown as bars, each mapped from its [min, max] range onto an empty-to-full bar
+const STATS = [
+  { label: 'TOP SPEED', range: [15, 35], value: (vehicle) => vehicle.handling.maxSpeed },
+  {
+    label: 'ACCELERATION',
+    range: [150, 500],
+    // Torque per tonne - the engine pulling the car's weight
+    value: (vehicle) => new Drivetrain(vehicle.drivetrain).peakTorque / vehicle.handling.weight * 1000
+  },
+  {
+    label: 'GRIP',
+    range: [1.0, 3.0],
+    value: (vehicle) => (vehicle.tires.front.grip + vehicle.tires.rear.grip) / 2
+  },
+  {
+    label: 'AGILITY',
+    range: [2, 7],
+    value: (vehicle) => vehicle.handling.turnSpeed / vehicle.tires.yawInertiaFactor
+  },
+  {
+    label: 'NITRO',
+    range: [5, 30],
+    // Boost strength times how long a full tank lasts
+    value: (vehicle) => vehicle.nitro.boostFactor * vehicle.nitro.capacity / vehicle.nitro.depletionRate
+  }
+];
+
+/**
+ * Car selection screen - a turntable preview rendered with the game's renderer
+ * and an overlay listing the vehicles with their stats. TUNE and PAINT open the tuning and paint panels.
+ */
+export class GarageUI {
+  constructor(renderer, vehicleRegistry, tuningUI, liveryUI) {
+    this.renderer = renderer;
+    this.vehicleRegistry = vehicleRegistry;
+    this.tuningUI = tuningUI;
+    this.liveryUI = liveryUI;
+    this.isVisible = false;
+    this.container = null;
+    this.selectedId = null;
+    this.onDrive = null;
+    this.turntableSpeed = 0.6; // Radians per second
+    
+    // Preview models by vehicle id, loaded on first view
+    this.models = new Map();
+    this.loader = new GLTFLoader();
+    
+    this.setupScene();
+    
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+  
+  setupScene() {
+    this.scene = new THREE.Scene();
+    this.scene.background = new THREE.Color(0x111111);
+    
+    this.camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 100);
+    this.camera.position.set(4.5, 2.2, 4.5);
+    this.camera.lookAt(0, 0.4, 0);
+    
+    this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    keyLight.position.set(5, 8, 4);
+    this.scene.add(keyLight);
+    const rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
+    rimLight.position.set(-5, 3, -6);
+    this.scene.add(rimLight);
+    
+    // The turntable spins whatever car sits on it
+    this.turntable = new THREE.Group();
+    this.scene.add(this.turntable);
+    
+    const platform = new THREE.Mesh(
+      new THREE.CylinderGeometry(2.2, 2.3, 0.1, 48),
+      new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.6 })
+    );
+    platform.position.y = -0.05;
+    this.turntable.add(platform);
+    
+    const ring = new THREE.Mesh(
+      new THREE.RingGeometry(2.1, 2.15, 64),
+      new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide })
+    );
+    ring.rotation.x = -Math.PI / 2;
+    ring.position.y = 0.001;
+    this.turntable.add(ring);
+  }
+  
+  /**
+   * Open the garage
+   * @param {string} selectedId - Vehicle to show first
+   * @param {Function} onDrive - Called with the chosen vehicle id when the player drives off
+   */
+  show(selectedId, onDrive) {
+    if (!this.container) {
+      this.initialize();
+    }
+    
+    this.onDrive = onDrive;
+    this.renderVehicleList();
+    this.select(this.vehicleRegistry.get(selectedId).id);
+    
+    this.container.style.display = 'flex';
+    this.isVisible = true;
+    window.addEventListener('keydown', this.handleKeyDown);
+  }
+  
+  hide() {
+    if (this.container) {
+      this.container.style.display = 'none';
+    }
+    this.tuningUI.hide();
+    this.liveryUI.hide();
+    this.isVisible = false;
+    window.removeEventListener('keydown', this.handleKeyDown);
+  }
+  
+  initialize() {
+    // Full-screen overlay - the 3D preview shows through the middle
+    this.container = document.createElement('div');
+    this.container.id = 'garage-container';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '0';
+    this.container.style.left = '0';
+    this.container.style.width = '100%';
+    this.container.style.height = '100%';
+    this.container.style.display = 'none';
+    this.container.style.justifyContent = 'space-between';
+    this.container.style.alignItems = 'flex-end';
+    this.container.style.padding = '30px';
+    this.container.style.boxSizing = 'border-box';
+    this.container.style.color = '#fff';
+    this.container.style.fontFamily = "'Courier New', monospace";
+    this.container.style.zIndex = '2000';
+    this.container.style.pointerEvents = 'none';
+    
+    // Title
+    const title = document.createElement('h2');
+    title.textContent = 'GARAGE';
+    title.style.position = 'absolute';
+    title.style.top = '30px';
+    title.style.left = '50%';
+    title.style.transform = 'translateX(-50%)';
+    title.style.margin = '0';
+    title.style.color = '#ffcc00';
+    title.style.fontSize = '36px';
+    title.style.letterSpacing = '4px';
+    
+    // Vehicle list
+    this.listElement = document.createElement('div');
+    this.listElement.style.background = 'rgba(0, 0, 0, 0.7)';
+    this.listElement.style.borderRadius = '10px';
+    this.listElement.style.padding = '15px';
+    this.listElement.style.minWidth = '180px';
+    this.listElement.style.pointerEvents = 'auto';
+    
+    // Details panel - name, description, stat bars and the drive button
+    const details = document.createElement('div');
+    details.style.background = 'rgba(0, 0, 0, 0.7)';
+    details.style.borderRadius = '10px';
+    details.style.padding = '20px';
+    details.style.width = '300px';
+    details.style.pointerEvents = 'auto';
+    
+    this.nameElement = document.createElement('div');
+    this.nameElement.style.fontSize = '24px';
+    this.nameElement.style.fontWeight = 'bold';
+    this.nameElement.style.marginBottom = '5px';
+    
+    this.descriptionElement = document.createElement('div');
+    this.descriptionElement.style.fontSize = '13px';
+    this.descriptionElement.style.color = '#aaa';
+    this.descriptionElement.style.marginBottom = '15px';
+    
+    this.statsElement = document.createElement('div');
+    this.statsElement.style.marginBottom = '20px';
+    
+    const driveButton = document.createElement('button');
+    driveButton.textContent = 'DRIVE';
+    driveButton.style.width = '100%';
+    driveButton.style.background = '#ffcc00';
+    driveButton.style.color = '#000';
+    driveButton.style.border = 'none';
+    driveButton.style.padding = '12px';
+    driveButton.style.fontSize = '18px';
+    driveButton.style.fontWeight = 'bold';
+    driveButton.style.borderRadius = '5px';
+    driveButton.style.cursor = 'pointer';
+    driveButton.addEventListener('click', () => this.drive());
+    
+    // Tuning and paint panels share the middle of the screen, so only one is open at a time
+    const panelButtons = document.createElement('div');
+    panelButtons.style.display = 'flex';
+    panelButtons.style.gap = '10px';
+    panelButtons.style.marginBottom = '10px';
+    
+    [
+      ['TUNE', () => { this.liveryUI.hide(); this.tuningUI.toggle(); }],
+      ['PAINT', () => { this.tuningUI.hide(); this.liveryUI.toggle(this.selectedId); }]
+    ].forEach(([text, onClick]) => {
+      const button = document.createElement('button');
+      button.textContent = text;
+      button.style.flex = '1';
+      button.style.background = 'transparent';
+      button.style.color = '#ffcc00';
+      button.style.border = '1px solid #ffcc00';
+      button.style.padding = '8px';
+      button.style.fontSize = '14px';
+      button.style.fontWeight = 'bold';
+      button.style.borderRadius = '5px';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', onClick);
+      panelButtons.appendChild(button);
+    });
+    
+    const hint = document.createElement('div');
+    hint.textContent = '← → to browse, ENTER to drive';
+    hint.style.fontSize = '12px';
+    hint.style.color = '#888';
+    hint.style.textAlign = 'center';
+    hint.style.marginTop = '10px';
+    
+    details.appendChild(this.nameElement);
+    details.appendChild(this.descriptionElement);
+    details.appendChild(this.statsElement);
+    details.appendChild(panelButtons);
+    details.appendChild(driveButton);
+    details.appendChild(hint);
+    
+    this.container.appendChild(title);
+    this.container.appendChild(this.listElement);
+    this.container.appendChild(details);
+    document.body.appendChild(this.container);
+  }
+  
+  renderVehicleList() {
+    this.listElement.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.textContent = 'CARS';
+    header.style.color = '#888';
+    header.style.fontSize = '12px';
+    header.style.letterSpacing = '2px';
+    header.style.marginBottom = '10px';
+    this.listElement.appendChild(header);
+    
+    this.vehicleRegistry.getAll().forEach(vehicle => {
+      const item = document.createElement('div');
+      item.dataset.vehicleId = vehicle.id;
+      item.textContent = vehicle.name.toUpperCase();
+      item.style.padding = '8px 10px';
+      item.style.marginBottom = '5px';
+      item.style.borderRadius = '5px';
+      item.style.cursor = 'pointer';
+      item.style.transition = 'background 0.2s';
+      item.addEventListener('click', () => this.select(vehicle.id));
+      this.listElement.appendChild(item);
+    });
+  }
+  
+  select(id) {
+    const vehicle = this.vehicleRegistry.get(id);
+    this.selectedId = vehicle.id;
+    
+    // Highlight the list entry
+    this.listElement.querySelectorAll('[data-vehicle-id]').forEach(item => {
+      const isSelected = item.dataset.vehicleId === vehicle.id;
+      item.style.background = isSelected ? '#ffcc00' : 'transparent';
+      item.style.color = isSelected ? '#000' : '#fff';
+    });
+    
+    this.nameElement.textContent = vehicle.name.toUpperCase();
+    this.descriptionElement.textContent = vehicle.description;
+    this.renderStats(vehicle);
+    this.showModel(vehicle);
+    
+    // Keep the paint panel on the car being shown
+    if (this.liveryUI.isVisible) {
+      this.liveryUI.show(vehicle.id);
+    }
+  }
+  
+  renderStats(vehicle) {
+    this.statsElement.innerHTML = STATS.map(stat => {
+      const [min, max] = stat.range;
+      const fill = THREE.MathUtils.clamp((stat.value(vehicle) - min) / (max - min), 0.05, 1);
+      return `
+        <div style="font-size: 12px; letter-spacing: 1px; margin-bottom: 3px;">${stat.label}</div>
+        <div style="background: rgba(255, 255, 255, 0.2); border-radius: 3px; height: 8px; margin-bottom: 10px; overflow: hidden;">
+          <div style="background: #fff; height: 100%; width: ${Math.round(fill * 100)}%; transition: width 0.3s;"></div>
+        </div>
+      `;
+    }).join('');
+  }
+  
+  /**
+   * Put a vehicle's model on the turntable, loading it the first time
+   * @private
+   * @param {Object} vehicle - Vehicle definition
+   */
+  showModel(vehicle) {
+    this.models.forEach(model => { model.visible = false; });
+    
+    if (this.models.has(vehicle.id)) {
+      this.models.get(vehicle.id).visible = true;
+      return;
+    }
+    
+    // Reserve the slot so repeat selections don't load twice
+    const holder = new THREE.Group();
+    this.models.set(vehicle.id, holder);
+    this.turntable.add(holder);
+    
+    const { url, scale, rotation, position } = vehicle.model;
+    this.loader.load(
+      url,
+      (gltf) => {
+        const model = gltf.scene;
+        model.scale.fromArray(scale);
+        model.rotation.set(...rotation.map(degrees => THREE.MathUtils.degToRad(degrees)));
+        model.position.fromArray(position);
+        holder.add(model);
+        holder.userData.body = { model, paint: vehicle.paint };
+        this.paintPreview(vehicle.id);
+      },
+      undefined,
+      (error) => {
+        console.error(`Failed to load garage model for ${vehicle.id}:`, error);
+        // Plain box so the turntable isn't empty
+        const box = new THREE.Mesh(
+          new THREE.BoxGeometry(vehicle.collision.halfWidth * 2, 0.5, vehicle.collision.halfLength * 2),
+          new THREE.MeshStandardMaterial({ color: 0xffffff, roughness: 0.3, metalness: 0.8 })
+        );
+        box.name = 'Preview_body';
+        box.position.y = 0.25;
+        holder.add(box);
+        holder.userData.body = { model: box, paint: { body: [box.name], rims: [] } };
+        this.paintPreview(vehicle.id);
+      }
+    );
+  }
+  
+  /**
+   * Repaint a preview model with the car's saved livery
+   * @param {string} vehicleId - Vehicle id
+   */
+  paintPreview(vehicleId) {
+    const holder = this.models.get(vehicleId);
+    if (!holder || !holder.userData.body) return;
+    
+    const { model, paint } = holder.userData.body;
+    paintModel(model, paint, this.liveryUI.getLivery(vehicleId));
+  }
+  
+  cycle(step) {
+    const vehicles = this.vehicleRegistry.getAll();
+    const index = vehicles.findIndex(vehicle => vehicle.id === this.selectedId);
+    const next = (index + step + vehicles.length) % vehicles.length;
+    this.select(vehicles[next].id);
+  }
+  
+  drive() {
+    const onDrive = this.onDrive;
+    this.hide();
+    if (onDrive) {
+      onDrive(this.selectedId);
+    }
+  }
+  
+  handleKeyDown(e) {
+    // Leave the arrow keys to the tuning sliders and preset name field
+    if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) {
+      return;
+    }
+    
+    if (e.code === 'ArrowLeft' || e.code === 'ArrowUp') {
+      this.cycle(-1);
+    } else if (e.code === 'ArrowRight' || e.code === 'ArrowDown') {
+      this.cycle(1);
+    } else if (e.code === 'Enter') {
+      this.drive();
+    }
+  }
+  
+  onResize(width, height) {
+    this.camera.aspect = width / height;
+    this.camera.updateProjectionMatrix();
+  }
+  
+  /**
+   * Spin the turntable and draw the garage instead of the game scene
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  render(deltaTime) {
+    this.turntable.rotation.y += this.turntableSpeed * deltaTime;
+    this.renderer.render(this.scene, this.camera);
+  }
+} 
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import config from '../config.js';
+import { describeTuning } from '../core/Tuning.js';
+import { getModeKey, getModeLabel, getRankedModes } from '../core/GameModes.js';
 
 export class LeaderboardUI {
   constructor(leaderboardService) {
@@ -7,7 +9,9 @@ export class LeaderboardUI {
     this.isVisible = false;
     this.container = null;
     this.leaderboardElement = null;
+    this.modeButtons = []; // { choice, button } for each ranked mode's board
     this.miniLeaderboardContainer = null;
+    this.miniModeLabel = null;
     
     // Bind the update method to this instance
     this.updateLeaderboard = this.updateLeaderboard.bind(this);
@@ -62,6 +66,29 @@ export class LeaderboardUI {
     header.style.textTransform = 'uppercase';
     header.style.letterSpacing = '2px';
     
+    // Create mode selector - every ranked mode has its own board
+    const modeSelector = document.createElement('div');
+    modeSelector.style.display = 'flex';
+    modeSelector.style.flexWrap = 'wrap';
+    modeSelector.style.justifyContent = 'center';
+    modeSelector.style.gap = '6px';
+    modeSelector.style.marginBottom = '15px';
+    
+    this.modeButtons = getRankedModes().map(choice => {
+      const button = document.createElement('button');
+      button.textContent = getModeLabel(choice);
+      button.style.padding = '5px 10px';
+      button.style.border = '1px solid #555';
+      button.style.borderRadius = '3px';
+      button.style.fontFamily = "'Courier New', monospace";
+      button.style.fontSize = '12px';
+      button.style.cursor = 'pointer';
+      button.addEventListener('click', () => this.setMode(choice));
+      modeSelector.appendChild(button);
+      return { choice, button };
+    });
+    this.updateModeSelector();
+    
     // Create close button
     const closeButton = document.createElement('div');
     closeButton.textContent = '×';
@@ -92,7 +119,7 @@ export class LeaderboardUI {
     const tableHeader = document.createElement('thead');
     const headerRow = document.createElement('tr');
     
-    const headers = ['RANK', 'PLAYER', 'SCORE', 'DATE'];
+    const headers = ['RANK', 'PLAYER', 'SCORE', 'CAR', 'DATE'];
     headers.forEach(headerText => {
       const th = document.createElement('th');
       th.textContent = headerText;
@@ -121,6 +148,7 @@ export class LeaderboardUI {
     
     // Assemble the UI
     this.container.appendChild(header);
+    this.container.appendChild(modeSelector);
     this.container.appendChild(closeButton);
     this.container.appendChild(tableContainer);
     this.container.appendChild(autoSubmitNote);
@@ -196,12 +224,21 @@ export class LeaderboardUI {
     
     header.appendChild(refreshButton);
     
+    // Which mode's board is shown
+    this.miniModeLabel = document.createElement('div');
+    this.miniModeLabel.textContent = getModeLabel(this.leaderboardService.mode);
+    this.miniModeLabel.style.textAlign = 'center';
+    this.miniModeLabel.style.color = '#aaa';
+    this.miniModeLabel.style.fontSize = '11px';
+    this.miniModeLabel.style.marginBottom = '6px';
+    
     // Create scores container
     const scoresContainer = document.createElement('div');
     scoresContainer.id = 'mini-scores';
     
     // Assemble mini leaderboard
     this.miniLeaderboardContainer.appendChild(header);
+    this.miniLeaderboardContainer.appendChild(this.miniModeLabel);
     this.miniLeaderboardContainer.appendChild(scoresContainer);
     
     // Add to DOM
@@ -328,7 +365,7 @@ export class LeaderboardUI {
       // If no scores yet, show message
       const row = document.createElement('tr');
       const cell = document.createElement('td');
-      cell.colSpan = 4;
+      cell.colSpan = 5;
       cell.textContent = 'No scores yet. Be the first!';
       cell.style.padding = '20px';
       cell.style.textAlign = 'center';
@@ -359,6 +396,23 @@ export class LeaderboardUI {
       scoreCell.style.padding = '8px 10px';
       scoreCell.style.borderBottom = '1px solid #333';
       
+      // Car cell - the car and tuning setup the score was set with, if recorded
+      const carCell = document.createElement('td');
+      carCell.style.padding = '8px 10px';
+      carCell.style.borderBottom = '1px solid #333';
+      if (score.setup && score.setup.vehicle) {
+        carCell.textContent = score.setup.vehicle.toUpperCase();
+        
+        const setupLine = document.createElement('div');
+        setupLine.textContent = describeTuning(score.setup.setup);
+        setupLine.style.fontSize = '10px';
+        setupLine.style.fontWeight = 'normal';
+        setupLine.style.color = '#888';
+        carCell.appendChild(setupLine);
+      } else {
+        carCell.textContent = '-';
+      }
+      
       // Date cell
       const dateCell = document.createElement('td');
       const date = new Date(score.created_at);
@@ -375,12 +429,35 @@ export class LeaderboardUI {
       row.appendChild(rankCell);
       row.appendChild(nameCell);
       row.appendChild(scoreCell);
+      row.appendChild(carCell);
       row.appendChild(dateCell);
       
       tbody.appendChild(row);
     });
   }
   
+  // Show a ranked game mode's board ({ id, duration }) and load its scores
+  setMode(choice) {
+    this.leaderboardService.setMode(choice);
+    this.updateModeSelector();
+    if (this.miniModeLabel) {
+      this.miniModeLabel.textContent = getModeLabel(choice);
+    }
+    
+    this.updateLeaderboard(this.leaderboardService.topScores);
+    return this.refreshLeaderboard();
+  }
+  
+  // Highlight the selector button of the board being shown
+  updateModeSelector() {
+    const shownKey = getModeKey(this.leaderboardService.mode);
+    this.modeButtons.forEach(({ choice, button }) => {
+      const isShown = getModeKey(choice) === shownKey;
+      button.style.background = isShown ? '#ffcc00' : '#333';
+      button.style.color = isShown ? '#000' : '#fff';
+    });
+  }
+  
   startPeriodicRefresh(interval = 30000) {
     // Clear any existing refresh interval
     if (this.refreshInterval) {
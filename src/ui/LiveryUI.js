@@ -0,0 +1,245 @@
+import { STRIPE_STYLES, DEFAULT_LIVERY } from '../core/Livery.js';
+
+/**
+ * Paint panel opened from the garage - body and rim color, stripes and tire smoke color.
+ * Liveries are saved per car and every change is applied straight away through onChange.
+ */
+export class LiveryUI {
+  constructor(liveryStore, onChange) {
+    this.liveryStore = liveryStore;
+    this.onChange = onChange;
+    this.isVisible = false;
+    this.container = null;
+    this.vehicleId = null;
+    this.livery = { ...DEFAULT_LIVERY };
+    
+    // Color input and stock label per livery color key
+    this.colorFields = new Map();
+  }
+  
+  /**
+   * Look up a car's saved livery
+   * @param {string} vehicleId - Vehicle id
+   * @returns {Object} - The livery
+   */
+  getLivery(vehicleId) {
+    return this.liveryStore.get(vehicleId);
+  }
+  
+  /**
+   * Open the panel for a car
+   * @param {string} vehicleId - Car to paint
+   */
+  show(vehicleId) {
+    if (!this.container) {
+      this.initialize();
+    }
+    
+    this.vehicleId = vehicleId;
+    this.livery = this.getLivery(vehicleId);
+    this.renderLivery();
+    
+    this.container.style.display = 'block';
+    this.isVisible = true;
+  }
+  
+  hide() {
+    if (this.container) {
+      this.container.style.display = 'none';
+    }
+    this.isVisible = false;
+  }
+  
+  toggle(vehicleId) {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show(vehicleId);
+    }
+  }
+  
+  initialize() {
+    this.container = document.createElement('div');
+    this.container.id = 'livery-container';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '50%';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translate(-50%, -50%)';
+    this.container.style.width = '300px';
+    this.container.style.background = 'rgba(0, 0, 0, 0.85)';
+    this.container.style.border = '1px solid #ffcc00';
+    this.container.style.borderRadius = '10px';
+    this.container.style.padding = '20px';
+    this.container.style.color = '#fff';
+    this.container.style.fontFamily = "'Courier New', monospace";
+    this.container.style.zIndex = '2001';
+    this.container.style.display = 'none';
+    
+    const title = document.createElement('div');
+    title.textContent = 'PAINT';
+    title.style.color = '#ffcc00';
+    title.style.fontSize = '20px';
+    title.style.fontWeight = 'bold';
+    title.style.letterSpacing = '2px';
+    title.style.marginBottom = '15px';
+    this.container.appendChild(title);
+    
+    this.container.appendChild(this.createColorRow('BODY', 'bodyColor', true));
+    this.container.appendChild(this.createColorRow('RIMS', 'rimColor', true));
+    
+    // Stripe set and its color
+    const stripeRow = this.createRow('STRIPES');
+    this.stripeSelect = document.createElement('select');
+    this.stripeSelect.style.background = '#222';
+    this.stripeSelect.style.color = '#fff';
+    this.stripeSelect.style.border = '1px solid #555';
+    this.stripeSelect.style.borderRadius = '5px';
+    this.stripeSelect.style.padding = '4px';
+    this.stripeSelect.style.fontFamily = "'Courier New', monospace";
+    Object.entries(STRIPE_STYLES).forEach(([style, label]) => {
+      const option = document.createElement('option');
+      option.value = style;
+      option.textContent = label;
+      this.stripeSelect.appendChild(option);
+    });
+    this.stripeSelect.addEventListener('change', () => this.update({ stripes: this.stripeSelect.value }));
+    stripeRow.appendChild(this.stripeSelect);
+    this.container.appendChild(stripeRow);
+    
+    this.container.appendChild(this.createColorRow('STRIPE COLOR', 'stripeColor', false));
+    this.container.appendChild(this.createColorRow('TIRE SMOKE', 'smokeColor', false));
+    
+    const actionRow = document.createElement('div');
+    actionRow.style.display = 'flex';
+    actionRow.style.gap = '5px';
+    actionRow.style.marginTop = '15px';
+    
+    const resetButton = this.createButton('RESET', () => this.update(DEFAULT_LIVERY));
+    resetButton.style.flex = '1';
+    const doneButton = this.createButton('DONE', () => this.hide());
+    doneButton.style.flex = '1';
+    doneButton.style.background = '#ffcc00';
+    doneButton.style.color = '#000';
+    
+    actionRow.appendChild(resetButton);
+    actionRow.appendChild(doneButton);
+    this.container.appendChild(actionRow);
+    
+    document.body.appendChild(this.container);
+  }
+  
+  /**
+   * Labelled row for one control
+   * @private
+   * @param {string} text - Row label
+   * @returns {HTMLElement} - The row, with the label already added
+   */
+  createRow(text) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.marginBottom = '10px';
+    row.style.fontSize = '12px';
+    row.style.letterSpacing = '1px';
+    
+    const label = document.createElement('span');
+    label.textContent = text;
+    label.style.flex = '1';
+    row.appendChild(label);
+    
+    return row;
+  }
+  
+  /**
+   * Row with a color picker, plus a STOCK button for colors that can go back to the model's own paint
+   * @private
+   * @param {string} text - Row label
+   * @param {string} key - Livery color key
+   * @param {boolean} allowStock - Whether the color can be reset to stock
+   * @returns {HTMLElement} - The row
+   */
+  createColorRow(text, key, allowStock) {
+    const row = this.createRow(text);
+    
+    const stockLabel = document.createElement('span');
+    stockLabel.textContent = 'STOCK';
+    stockLabel.style.color = '#888';
+    
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.style.width = '40px';
+    input.style.height = '24px';
+    input.style.border = 'none';
+    input.style.padding = '0';
+    input.style.background = 'transparent';
+    input.style.cursor = 'pointer';
+    input.addEventListener('input', () => this.update({ [key]: input.value }));
+    
+    if (allowStock) {
+      row.appendChild(stockLabel);
+    }
+    row.appendChild(input);
+    
+    if (allowStock) {
+      const stockButton = this.createButton('STOCK', () => this.update({ [key]: null }));
+      stockButton.style.padding = '4px 6px';
+      stockButton.style.fontSize = '10px';
+      row.appendChild(stockButton);
+    }
+    
+    this.colorFields.set(key, { input, stockLabel });
+    return row;
+  }
+  
+  /**
+   * Small button in the panel's style
+   * @private
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} - The button
+   */
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.background = '#333';
+    button.style.color = '#fff';
+    button.style.border = 'none';
+    button.style.padding = '8px 12px';
+    button.style.fontFamily = "'Courier New', monospace";
+    button.style.fontWeight = 'bold';
+    button.style.borderRadius = '5px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Show the current livery on the controls
+   * @private
+   */
+  renderLivery() {
+    this.colorFields.forEach(({ input, stockLabel }, key) => {
+      const color = this.livery[key];
+      stockLabel.style.display = color ? 'none' : 'inline';
+      if (color) {
+        input.value = color;
+      }
+    });
+    this.stripeSelect.value = this.livery.stripes;
+  }
+  
+  /**
+   * Change part of the livery, save it for the car and apply it
+   * @param {Object} changes - Livery values to change
+   */
+  update(changes) {
+    this.liveryStore.set(this.vehicleId, { ...this.livery, ...changes });
+    this.livery = this.getLivery(this.vehicleId);
+    this.renderLivery();
+    
+    if (this.onChange) {
+      this.onChange(this.vehicleId, this.livery);
+    }
+  }
+} 
\ No newline at end of file
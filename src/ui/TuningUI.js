@@ -0,0 +1,272 @@
+import { TUNING_PARAMETERS, DEFAULT_TUNING, normalizeTuning } from '../core/Tuning.js';
+
+/**
+ * Tuning panel opened from the garage - a slider per setup value plus named presets.
+ * Every change is applied straight away through the onChange callback.
+ */
+export class TuningUI {
+  constructor(tuningPresets, onChange) {
+    this.tuningPresets = tuningPresets;
+    this.onChange = onChange;
+    this.isVisible = false;
+    this.container = null;
+    this.setup = { ...DEFAULT_TUNING };
+    
+    // Slider and value label per parameter key
+    this.sliders = new Map();
+  }
+  
+  /**
+   * Open the panel
+   * @param {Object} [setup] - Setup to start from, the last one shown by default
+   */
+  show(setup = this.setup) {
+    if (!this.container) {
+      this.initialize();
+    }
+    
+    this.setSetup(setup, false);
+    this.renderPresetList();
+    
+    this.container.style.display = 'block';
+    this.isVisible = true;
+  }
+  
+  hide() {
+    if (this.container) {
+      this.container.style.display = 'none';
+    }
+    this.isVisible = false;
+  }
+  
+  toggle() {
+    if (this.isVisible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+  
+  initialize() {
+    this.container = document.createElement('div');
+    this.container.id = 'tuning-container';
+    this.container.style.position = 'absolute';
+    this.container.style.top = '50%';
+    this.container.style.left = '50%';
+    this.container.style.transform = 'translate(-50%, -50%)';
+    this.container.style.width = '340px';
+    this.container.style.background = 'rgba(0, 0, 0, 0.85)';
+    this.container.style.border = '1px solid #ffcc00';
+    this.container.style.borderRadius = '10px';
+    this.container.style.padding = '20px';
+    this.container.style.color = '#fff';
+    this.container.style.fontFamily = "'Courier New', monospace";
+    this.container.style.zIndex = '2001';
+    this.container.style.display = 'none';
+    
+    const title = document.createElement('div');
+    title.textContent = 'TUNING';
+    title.style.color = '#ffcc00';
+    title.style.fontSize = '20px';
+    title.style.fontWeight = 'bold';
+    title.style.letterSpacing = '2px';
+    title.style.marginBottom = '15px';
+    this.container.appendChild(title);
+    
+    TUNING_PARAMETERS.forEach(parameter => {
+      this.container.appendChild(this.createSlider(parameter));
+    });
+    
+    // Presets - pick one to load it, or type a name to save the current setup
+    const presetRow = document.createElement('div');
+    presetRow.style.display = 'flex';
+    presetRow.style.gap = '5px';
+    presetRow.style.margin = '15px 0 10px';
+    
+    this.presetSelect = document.createElement('select');
+    this.presetSelect.style.flex = '1';
+    this.styleField(this.presetSelect);
+    this.presetSelect.addEventListener('change', () => this.loadPreset(this.presetSelect.value));
+    
+    const deleteButton = this.createButton('DELETE', () => this.deletePreset(this.presetSelect.value));
+    
+    presetRow.appendChild(this.presetSelect);
+    presetRow.appendChild(deleteButton);
+    
+    const saveRow = document.createElement('div');
+    saveRow.style.display = 'flex';
+    saveRow.style.gap = '5px';
+    saveRow.style.marginBottom = '15px';
+    
+    this.nameInput = document.createElement('input');
+    this.nameInput.type = 'text';
+    this.nameInput.placeholder = 'Preset name';
+    this.nameInput.maxLength = 20;
+    this.nameInput.style.flex = '1';
+    this.styleField(this.nameInput);
+    
+    const saveButton = this.createButton('SAVE', () => this.savePreset(this.nameInput.value));
+    
+    saveRow.appendChild(this.nameInput);
+    saveRow.appendChild(saveButton);
+    
+    const actionRow = document.createElement('div');
+    actionRow.style.display = 'flex';
+    actionRow.style.gap = '5px';
+    
+    const resetButton = this.createButton('RESET', () => this.setSetup(DEFAULT_TUNING, true));
+    resetButton.style.flex = '1';
+    const doneButton = this.createButton('DONE', () => this.hide());
+    doneButton.style.flex = '1';
+    doneButton.style.background = '#ffcc00';
+    doneButton.style.color = '#000';
+    
+    actionRow.appendChild(resetButton);
+    actionRow.appendChild(doneButton);
+    
+    this.container.appendChild(presetRow);
+    this.container.appendChild(saveRow);
+    this.container.appendChild(actionRow);
+    document.body.appendChild(this.container);
+  }
+  
+  /**
+   * Build a labelled slider for one tuning parameter
+   * @private
+   * @param {Object} parameter - Entry from TUNING_PARAMETERS
+   * @returns {HTMLElement} - The slider row
+   */
+  createSlider(parameter) {
+    const row = document.createElement('div');
+    row.style.marginBottom = '10px';
+    
+    const header = document.createElement('div');
+    header.style.display = 'flex';
+    header.style.justifyContent = 'space-between';
+    header.style.fontSize = '12px';
+    header.style.letterSpacing = '1px';
+    header.style.marginBottom = '3px';
+    
+    const label = document.createElement('span');
+    label.textContent = parameter.label.toUpperCase();
+    const value = document.createElement('span');
+    value.style.color = '#ffcc00';
+    
+    header.appendChild(label);
+    header.appendChild(value);
+    
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = parameter.min;
+    slider.max = parameter.max;
+    slider.step = parameter.step;
+    slider.style.width = '100%';
+    slider.addEventListener('input', () => {
+      this.setSetup({ ...this.setup, [parameter.key]: Number(slider.value) }, true);
+    });
+    
+    row.appendChild(header);
+    row.appendChild(slider);
+    
+    this.sliders.set(parameter.key, { slider, value, parameter });
+    return row;
+  }
+  
+  /**
+   * Small button in the panel's style
+   * @private
+   * @param {string} text - Button label
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} - The button
+   */
+  createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.background = '#333';
+    button.style.color = '#fff';
+    button.style.border = 'none';
+    button.style.padding = '8px 12px';
+    button.style.fontFamily = "'Courier New', monospace";
+    button.style.fontWeight = 'bold';
+    button.style.borderRadius = '5px';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+  
+  /**
+   * Dark style shared by the preset select and name input
+   * @private
+   * @param {HTMLElement} element - Form field
+   */
+  styleField(element) {
+    element.style.background = '#222';
+    element.style.color = '#fff';
+    element.style.border = '1px solid #555';
+    element.style.borderRadius = '5px';
+    element.style.padding = '6px';
+    element.style.fontFamily = "'Courier New', monospace";
+  }
+  
+  /**
+   * Show a setup on the sliders, and optionally apply it to the car
+   * @param {Object} setup - Tuning setup
+   * @param {boolean} notify - Whether to call onChange
+   */
+  setSetup(setup, notify) {
+    this.setup = normalizeTuning(setup);
+    
+    this.sliders.forEach(({ slider, value, parameter }, key) => {
+      slider.value = this.setup[key];
+      value.textContent = `${this.setup[key]}${parameter.unit}`;
+    });
+    
+    if (notify && this.onChange) {
+      this.onChange(this.setup);
+    }
+  }
+  
+  renderPresetList(selectedName = '') {
+    this.presetSelect.innerHTML = '';
+    
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Presets...';
+    this.presetSelect.appendChild(placeholder);
+    
+    this.tuningPresets.list().forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this.presetSelect.appendChild(option);
+    });
+    
+    this.presetSelect.value = selectedName;
+  }
+  
+  loadPreset(name) {
+    const setup = this.tuningPresets.load(name);
+    if (!setup) return;
+    
+    this.nameInput.value = name;
+    this.setSetup(setup, true);
+  }
+  
+  savePreset(name) {
+    const trimmed = name.trim();
+    if (!this.tuningPresets.save(trimmed, this.setup)) {
+      this.nameInput.focus();
+      return;
+    }
+    
+    this.renderPresetList(trimmed);
+  }
+  
+  deletePreset(name) {
+    if (!name) return;
+    
+    this.tuningPresets.delete(name);
+    this.nameInput.value = '';
+    this.renderPresetList();
+  }
+} 
\ No newline at end of file
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getSurfaceType } from '../core/Surfaces.js';
 
 export class DriftEffect {
     constructor(scene, car) {
@@ -18,6 +19,13 @@ export class DriftEffect {
         this.emissionRate = 0.02; // seconds between particle emissions
         this.timeSinceLastEmission = 0;
         
+        // Surfaces under the left and right rear tires - they color smoke and skid marks
+        this.leftSurface = getSurfaceType('asphalt');
+        this.rightSurface = getSurfaceType('asphalt');
+        
+        // Player's tire smoke color, used on surfaces where the smoke comes from the tires
+        this.smokeColor = new THREE.Color(0xffffff);
+        
         // Setup initial materials
         this.setupParticleMaterial();
     }
@@ -38,6 +46,15 @@ export class DriftEffect {
         });
     }
     
+    setSmokeColor(color) {
+        this.smokeColor.set(color);
+    }
+    
+    setSurfaces(leftSurface, rightSurface) {
+        this.leftSurface = leftSurface;
+        this.rightSurface = rightSurface;
+    }
+    
     update(deltaTime, driftForce, position, rotation) {
         this.isDrifting = true;
         this.timeSinceLastEmission += deltaTime;
@@ -96,7 +113,7 @@ export class DriftEffect {
             }
             
             // Fade out opacity
-            skid.mesh.material.opacity = 0.8 * (skid.life / this.particleLifespan);
+            skid.mesh.material.opacity = skid.opacity * (skid.life / this.particleLifespan);
         }
     }
     
@@ -122,13 +139,14 @@ export class DriftEffect {
         // Create particles
         for (let i = 0; i < particleCount; i++) {
             // Alternate between left and right tires
-            const tirePos = i % 2 === 0 ? rightRearPos : leftRearPos;
+            const isRight = i % 2 === 0;
+            const tirePos = isRight ? rightRearPos : leftRearPos;
             
-            this.createParticle(tirePos, driftForce);
+            this.createParticle(tirePos, driftForce, isRight ? this.rightSurface : this.leftSurface);
         }
     }
     
-    createParticle(position, driftForce) {
+    createParticle(position, driftForce, surface) {
         // Limit total particles
         if (this.particles.length >= this.maxParticles) {
             // Remove oldest particle
@@ -140,8 +158,13 @@ export class DriftEffect {
         const size = 0.1 + Math.random() * 0.2;
         const geometry = new THREE.PlaneGeometry(size, size);
         
-        // Clone the material to avoid affecting other particles
+        // Clone the material to avoid affecting other particles, tinted by the surface
         const material = this.particleMaterial.clone();
+        if (surface.tireSmoke) {
+            material.color.copy(this.smokeColor);
+        } else {
+            material.color.setHex(surface.smokeColor);
+        }
         
         // Create mesh
         const mesh = new THREE.Mesh(geometry, material);
@@ -183,25 +206,31 @@ export class DriftEffect {
         // Calculate the positions of the rear tires
         const rightRearPos = new THREE.Vector3(
             position.x + Math.cos(rotation.y - Math.PI/2) * 0.5,
-            0.02, // Just above ground
+            position.y + 0.02, // Just above the surface the car is on
             position.z + Math.sin(rotation.y - Math.PI/2) * 0.5
         );
         
         const leftRearPos = new THREE.Vector3(
             position.x + Math.cos(rotation.y + Math.PI/2) * 0.5,
-            0.02,
+            position.y + 0.02,
             position.z + Math.sin(rotation.y + Math.PI/2) * 0.5
         );
         
         // Create skid marks for both tires
-        this.createSingleSkidMark(rightRearPos, rotation);
-        this.createSingleSkidMark(leftRearPos, rotation);
+        this.createSingleSkidMark(rightRearPos, rotation, this.rightSurface);
+        this.createSingleSkidMark(leftRearPos, rotation, this.leftSurface);
     }
     
-    createSingleSkidMark(position, rotation) {
-        // Create a small rectangular plane for the skid mark
+    createSingleSkidMark(position, rotation, surface) {
+        // Create a small rectangular plane for the skid mark, styled by the surface
         const geometry = new THREE.PlaneGeometry(0.15, 0.5);
         const material = this.skidMarkMaterial.clone();
+        if (surface.tintedSkids) {
+            material.color.copy(this.smokeColor);
+        } else {
+            material.color.setHex(surface.skidColor);
+        }
+        material.opacity = surface.skidOpacity;
         
         const mesh = new THREE.Mesh(geometry, material);
         
@@ -217,6 +246,7 @@ export class DriftEffect {
         // Add to skid marks array
         this.skidMarks.push({
             mesh: mesh,
+            opacity: surface.skidOpacity,
             life: this.particleLifespan * 2 // Skid marks last longer
         });
     }
@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+
+export class SparkEffect {
+    constructor(scene) {
+        this.scene = scene;
+        
+        this.sparks = [];
+        this.maxSparks = 120;
+        this.sparkLifespan = 0.4; // seconds
+        
+        // Shared geometry and material - sparks are tiny stretched boxes that shrink away as they die
+        this.sparkGeometry = new THREE.BoxGeometry(0.04, 0.04, 0.25);
+        this.sparkMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffcc33
+        });
+    }
+    
+    // Emit a burst of sparks at a contact point, thrown away from the surface along the normal
+    emit(position, normal, intensity = 1) {
+        const count = Math.ceil(4 + intensity * 8);
+        
+        for (let i = 0; i < count; i++) {
+            // Limit total sparks
+            if (this.sparks.length >= this.maxSparks) {
+                const oldest = this.sparks.shift();
+                this.scene.remove(oldest.mesh);
+            }
+            
+            const mesh = new THREE.Mesh(this.sparkGeometry, this.sparkMaterial);
+            mesh.position.copy(position);
+            mesh.position.y += 0.2 + Math.random() * 0.3;
+            
+            // Spray mostly along the normal with some random spread and lift
+            const velocity = normal.clone().multiplyScalar(2 + Math.random() * 3 * intensity);
+            velocity.x += (Math.random() - 0.5) * 4;
+            velocity.z += (Math.random() - 0.5) * 4;
+            velocity.y = 1 + Math.random() * 3;
+            
+            // Point the spark along its direction of travel
+            mesh.lookAt(mesh.position.clone().add(velocity));
+            
+            this.scene.add(mesh);
+            this.sparks.push({
+                mesh: mesh,
+                velocity: velocity,
+                life: this.sparkLifespan * (0.5 + Math.random() * 0.5)
+            });
+        }
+    }
+    
+    update(deltaTime) {
+        for (let i = this.sparks.length - 1; i >= 0; i--) {
+            const spark = this.sparks[i];
+            
+            spark.life -= deltaTime;
+            
+            if (spark.life <= 0) {
+                this.scene.remove(spark.mesh);
+                this.sparks.splice(i, 1);
+                continue;
+            }
+            
+            // Fall under gravity and shrink away
+            spark.velocity.y -= 9.8 * deltaTime;
+            spark.mesh.position.addScaledVector(spark.velocity, deltaTime);
+            spark.mesh.scale.setScalar(spark.life / this.sparkLifespan);
+        }
+    }
+    
+    clear() {
+        for (const spark of this.sparks) {
+            this.scene.remove(spark.mesh);
+        }
+        this.sparks = [];
+    }
+} 
\ No newline at end of file